@@ -1,4 +1,31 @@
-import { Ref, UnwrapRef } from 'vue'
+import { Ref, ComputedRef, UnwrapRef, DeepReadonly, Component, Plugin, defineComponent } from 'vue'
+import { IObservableArray, ObservableMap, ObservableSet, IObservableValue, IReactionPublic } from 'mobx'
+
+/**
+ * Kind of a MobX member as detected by the bridge
+ */
+export type MobxMemberKind = 'property' | 'getter' | 'setter' | 'method'
+
+/**
+ * Selects members by name, RegExp, a list of those, or a predicate
+ */
+export type MobxMemberFilter =
+  | string
+  | RegExp
+  | ReadonlyArray<string | RegExp>
+  | ((name: string, kind: MobxMemberKind) => boolean)
+
+/**
+ * How a property holding another MobX store is bridged
+ */
+export type NestedStoreMode = 'live' | 'snapshot'
+
+/**
+ * A class whose instances the bridge passes through, optionally with a custom copy function
+ */
+export type PreservedInstanceType<T = any> =
+  | (abstract new (...args: any[]) => T)
+  | { type: abstract new (...args: any[]) => T; clone?: (value: T) => T }
 
 export interface MobxBridgeOptions {
   /**
@@ -6,8 +33,224 @@ export interface MobxBridgeOptions {
    * @default true
    */
   allowDirectMutation?: boolean
+
+  /**
+   * Only bridge (and subscribe to) members matching this filter
+   */
+  include?: MobxMemberFilter
+
+  /**
+   * Never bridge members matching this filter. Applied after `include`.
+   */
+  exclude?: MobxMemberFilter
+
+  /**
+   * Convention for private members that are never bridged: a name prefix,
+   * a RegExp, a predicate, or `false` to bridge private members too
+   * @default '_'
+   */
+  privatePattern?: string | RegExp | ((name: string) => boolean) | false
+
+  /**
+   * Only evaluate and observe getters while a Vue effect (render, watcher or computed)
+   * reads them. Reads outside of an effect return a fresh value without subscribing.
+   * @default false
+   */
+  lazyGetters?: boolean
+
+  /**
+   * When nested writes through the deep proxy are applied to MobX:
+   * batched in a microtask (`'microtask'`) or immediately after each write or
+   * array method call (`'sync'`)
+   * @default 'microtask'
+   */
+  nestedSync?: 'microtask' | 'sync'
+
+  /**
+   * How properties holding other MobX stores (observable class instances) are bridged:
+   * as live sub-bridges with working getters and methods (`'live'`), as plain `toJS`
+   * snapshots (`'snapshot'`), or per property name
+   * @default 'live'
+   */
+  nestedStores?: NestedStoreMode | Record<string, NestedStoreMode>
+
+  /**
+   * Class instances that keep their prototype instead of being copied between MobX and
+   * Vue: `true` for every non-observable class instance, or a list of classes and
+   * `{ type, clone }` entries. Preserved instances are passed by reference (or copied
+   * with `clone`), not made reactive by Vue, and compared by reference.
+   */
+  preserveInstances?: true | ReadonlyArray<PreservedInstanceType>
+
+  /**
+   * When MobX changes are applied to the Vue state: immediately (`'sync'`), once after
+   * the outermost MobX action or batch (`'batched'`), or in Vue's pre-flush before
+   * components update (`'pre'`)
+   * @default 'sync'
+   */
+  flush?: 'sync' | 'batched' | 'pre'
+
+  /**
+   * Receives the bridge's events: syncs in both directions, suppressed echoes, setters
+   * detected as read-only, failed subscriptions, creation and disposal
+   */
+  onEvent?: (event: MobxBridgeEvent) => void
+
+  /**
+   * Traces the bridge's events to the console
+   * @default false
+   */
+  debug?: boolean
+}
+
+/**
+ * The bridge an event belongs to
+ */
+export interface MobxBridgeInfo {
+  /** Unique per bridge, in creation order */
+  readonly id: number
+  /** Class name of the store, `'observable'` or the kind of value (e.g. `'observable.map'`) */
+  readonly label: string
+  /** The bridged MobX object or value */
+  readonly target: object
+  /** The bridged Vue state */
+  readonly state: unknown
+}
+
+interface MobxBridgeEventBase<T extends string> {
+  type: T
+  bridge: MobxBridgeInfo
+  /** When the event happened (`Date.now()`) */
+  timestamp: number
 }
 
+/**
+ * A change synced from MobX to Vue or from Vue to MobX
+ */
+export interface MobxBridgeSyncEvent extends MobxBridgeEventBase<'sync:mobx-to-vue' | 'sync:vue-to-mobx'> {
+  property: string
+  /** Path of the change inside the property (`[]` for the whole value) */
+  path: string[]
+  /** Plain copies of the values (the removed and added items for array splices) */
+  oldValue: unknown
+  newValue: unknown
+  /**
+   * The MobX action that caused the change (`vue:set <property>` / `vue:patch <property>`
+   * for Vue-side writes). Needs a development build of MobX.
+   */
+  action?: string
+  /** Milliseconds from the change to it being applied on the other side, including queueing */
+  duration?: number
+}
+
+/**
+ * A MobX change that wasn't synced back to Vue because Vue made it
+ */
+export interface MobxBridgeEchoEvent extends MobxBridgeEventBase<'echo:suppressed'> {
+  property: string
+  path: string[]
+}
+
+/**
+ * A setter found to be read-only on its first write
+ */
+export interface MobxBridgeReadOnlyEvent extends MobxBridgeEventBase<'setter:readonly-detected'> {
+  property: string
+}
+
+/**
+ * A property the bridge couldn't subscribe to; it won't be updated from MobX
+ */
+export interface MobxBridgeObserveFailedEvent extends MobxBridgeEventBase<'observe:failed'> {
+  property: string
+  error: unknown
+}
+
+/**
+ * An event reported through the `onEvent` / `debug` options and configureBridge
+ */
+export type MobxBridgeEvent =
+  | MobxBridgeEventBase<'bridge:created' | 'dispose'>
+  | MobxBridgeSyncEvent
+  | MobxBridgeEchoEvent
+  | MobxBridgeReadOnlyEvent
+  | MobxBridgeObserveFailedEvent
+
+export interface MobxBridgeConfig {
+  /**
+   * Traces the events of every bridge to the console
+   */
+  debug?: boolean
+
+  /**
+   * Receives the events of every bridge; `null` removes the listener
+   */
+  onEvent?: ((event: MobxBridgeEvent) => void) | null
+}
+
+/**
+ * Configures event reporting for every bridge, in development and production builds.
+ * Options left out keep their current value.
+ */
+export function configureBridge(config: MobxBridgeConfig): void
+
+/**
+ * Members added to every bridged state object (non-enumerable)
+ */
+export interface MobxBridgeHandle {
+  /**
+   * Disposes all MobX subscriptions held by the bridge.
+   * Called automatically when the surrounding effect scope is disposed.
+   */
+  readonly $dispose: () => void
+}
+
+/**
+ * Member names a filter names literally. RegExps and predicates can't be resolved
+ * statically, so filters containing them name nothing.
+ */
+type LiteralMemberNames<F> =
+  F extends string ? F
+  : F extends ReadonlyArray<string> ? F[number]
+  : never
+
+/**
+ * Names hidden by `privatePattern`. Only string prefixes (default `'_'`) can be typed;
+ * RegExp and predicate patterns hide nothing at the type level.
+ */
+type PrivateMemberNames<T, O> = O extends { privatePattern: infer P }
+  ? P extends string ? Extract<keyof T, `${P}${string}`> : never
+  : Extract<keyof T, `_${string}`>
+
+/**
+ * Names kept by `include` (when it lists names) and not dropped by `exclude`
+ */
+type FilteredMemberNames<T, O> = Exclude<
+  O extends { include: infer F }
+    ? [LiteralMemberNames<F>] extends [never] ? keyof T : Extract<keyof T, LiteralMemberNames<F>>
+    : keyof T,
+  O extends { exclude: infer F } ? LiteralMemberNames<F> : never
+>
+
+/**
+ * Bridged members of `T`: private and filtered-out members are dropped, getter-only
+ * members stay `readonly` and methods are bound (no `this` parameter).
+ */
+type BridgedMembers<T, O> = {
+  [K in keyof T as K extends FilteredMemberNames<T, O>
+    ? K extends PrivateMemberNames<T, O> | symbol ? never : K
+    : never]: T[K] extends (...args: any[]) => any ? OmitThisParameter<T[K]> : T[K]
+}
+
+/**
+ * The Vue state returned for a MobX object bridged with options `O`.
+ * With `allowDirectMutation: false` every property is deeply read-only.
+ */
+export type MobxBridgeState<T, O extends MobxBridgeOptions = {}> =
+  (O extends { allowDirectMutation: false }
+    ? DeepReadonly<BridgedMembers<T, O>>
+    : BridgedMembers<T, O>) & MobxBridgeHandle
+
 /**
  * Bridge between MobX observables and Vue 3 reactivity system
  * 
@@ -15,10 +258,38 @@ export interface MobxBridgeOptions {
  * @param options - Configuration options
  * @returns Vue reactive state object
  */
-export function useMobxBridge<T extends object>(
+export function useMobxBridge<T>(
+  observableArray: IObservableArray<T>,
+  options?: MobxValueBridgeOptions
+): UnwrapRef<T>[] & MobxBridgeHandle
+export function useMobxBridge<K, V>(
+  observableMap: ObservableMap<K, V>,
+  options?: MobxValueBridgeOptions
+): Map<K, UnwrapRef<V>> & MobxBridgeHandle
+export function useMobxBridge<T>(
+  observableSet: ObservableSet<T>,
+  options?: MobxValueBridgeOptions
+): Set<T> & MobxBridgeHandle
+export function useMobxBridge<T>(
+  box: IObservableValue<T>,
+  options?: MobxValueBridgeOptions
+): Ref<UnwrapRef<T>> & MobxBridgeHandle
+export function useMobxBridge<T extends object, const O extends MobxBridgeOptions>(
+  mobxObject: T,
+  options?: O
+): MobxBridgeState<T, O>
+
+/**
+ * Creates a bridge that is not tied to any Vue lifecycle
+ * 
+ * @param mobxObject - The MobX observable object to bridge
+ * @param options - Configuration options
+ * @returns The bridged state and a function disposing all subscriptions
+ */
+export function createMobxBridge<T extends object, const O extends MobxBridgeOptions>(
   mobxObject: T,
-  options?: MobxBridgeOptions
-): UnwrapRef<T>
+  options?: O
+): { state: MobxBridgeState<T, O>; dispose: () => void }
 
 /**
  * Helper alias for useMobxBridge - commonly used with presenter objects
@@ -27,7 +298,208 @@ export function useMobxBridge<T extends object>(
  * @param options - Configuration options
  * @returns Vue reactive state object
  */
-export function usePresenterState<T extends object>(
+export function usePresenterState<T extends object, const O extends MobxBridgeOptions>(
   presenter: T,
-  options?: MobxBridgeOptions
-): UnwrapRef<T>
\ No newline at end of file
+  options?: O
+): MobxBridgeState<T, O>
+
+/**
+ * Options that apply to top-level observable arrays, maps, sets and boxes
+ */
+export type MobxValueBridgeOptions = Pick<
+  MobxBridgeOptions,
+  'allowDirectMutation' | 'nestedSync' | 'preserveInstances' | 'flush' | 'onEvent' | 'debug'
+>
+
+/**
+ * Bridges a top-level observable array as a Vue-reactive array
+ */
+export function useMobxArray<T>(
+  observableArray: IObservableArray<T>,
+  options?: MobxValueBridgeOptions
+): UnwrapRef<T>[] & MobxBridgeHandle
+
+/**
+ * Bridges a top-level observable map as a Vue-reactive Map
+ */
+export function useMobxMap<K, V>(
+  observableMap: ObservableMap<K, V>,
+  options?: MobxValueBridgeOptions
+): Map<K, UnwrapRef<V>> & MobxBridgeHandle
+
+/**
+ * Bridges a top-level observable set as a Vue-reactive Set
+ */
+export function useMobxSet<T>(
+  observableSet: ObservableSet<T>,
+  options?: MobxValueBridgeOptions
+): Set<T> & MobxBridgeHandle
+
+/**
+ * Bridges an observable box as a writable Vue Ref
+ */
+export function useMobxBox<T>(
+  box: IObservableValue<T>,
+  options?: MobxValueBridgeOptions
+): Ref<UnwrapRef<T>> & MobxBridgeHandle
+
+export interface MobxComputedOptions<T> {
+  /**
+   * MobX comparer deciding when the derived value changed (e.g. `comparer.shallow`).
+   * By default structurally equal results don't trigger Vue.
+   */
+  equals?: (a: T, b: T) => boolean
+
+  /**
+   * Called when the expression throws. The ref holds `undefined` until it succeeds again.
+   * @default console.warn
+   */
+  onError?: (error: unknown) => void
+}
+
+/**
+ * Derives a read-only Vue ref from an ad-hoc MobX expression
+ *
+ * @param expression - Reads MobX observables and returns the derived value
+ * @param options - Configuration options
+ * @returns Read-only ref, disposed with the effect scope or `$dispose()`
+ */
+export function useMobxComputed<T>(
+  expression: () => T,
+  options?: MobxComputedOptions<T>
+): ComputedRef<UnwrapRef<T> | undefined> & MobxBridgeHandle
+
+/**
+ * When a MobX side effect runs relative to Vue's rendering
+ */
+export type MobxEffectFlush = 'sync' | 'pre' | 'post'
+
+export interface MobxAutorunOptions {
+  /**
+   * Run synchronously like MobX, before components update (`'pre'`) or after the
+   * DOM was patched (`'post'`). Changes before a pre/post flush are batched.
+   * @default 'sync'
+   */
+  flush?: MobxEffectFlush
+
+  /**
+   * Throttle runs by this many milliseconds
+   */
+  delay?: number
+}
+
+export interface MobxReactionOptions<T> extends MobxAutorunOptions {
+  /**
+   * Run the effect for the initial value
+   * @default false
+   */
+  fireImmediately?: boolean
+
+  /**
+   * MobX comparer deciding when the expression changed
+   */
+  equals?: (a: T, b: T) => boolean
+}
+
+/**
+ * Runs a side effect whenever a MobX expression changes, disposed with the effect scope
+ *
+ * @returns Function disposing the reaction
+ */
+export function useMobxReaction<T>(
+  expression: (reaction: IReactionPublic) => T,
+  effect: (value: T, previousValue: T | undefined, reaction: IReactionPublic) => void,
+  options?: MobxReactionOptions<T>
+): () => void
+
+/**
+ * Runs a function now and whenever the observables it reads change, disposed with the effect scope
+ *
+ * @returns Function disposing the autorun
+ */
+export function useMobxAutorun(
+  view: (reaction: IReactionPublic) => void,
+  options?: MobxAutorunOptions
+): () => void
+
+/**
+ * Makes a component re-render when MobX observables read during its render change
+ *
+ * @param component - Component options or a functional component
+ * @returns The observing component
+ */
+export function observer<C extends Component>(component: C): C
+
+/**
+ * `defineComponent()` for observer components
+ */
+export const defineObserverComponent: typeof defineComponent
+
+/**
+ * Exposes a Vue ref as a MobX observable box, synced both ways
+ *
+ * @param source - A Vue ref or computed (computeds only sync Vue → MobX)
+ * @returns Observable box; disposed with the effect scope or `$dispose()`
+ */
+export function fromVue<T>(source: Ref<T>): IObservableValue<T> & MobxBridgeHandle
+
+/**
+ * Exposes a Vue reactive object as a MobX observable object, synced both ways
+ *
+ * @param source - A Vue reactive (or readonly) object
+ * @returns Observable object; disposed with the effect scope or `$dispose()`
+ */
+export function fromVue<T extends object>(source: T): T & MobxBridgeHandle
+
+/**
+ * Registered stores, for typing `useStore()`. Augment it with your store names:
+ *
+ * ```ts
+ * declare module 'mobx-vue-bridge' {
+ *   interface MobxBridgeStores {
+ *     cart: CartStore
+ *   }
+ * }
+ * ```
+ */
+export interface MobxBridgeStores {}
+
+export interface MobxBridgePluginOptions {
+  /**
+   * Store name → store class or factory. Stores are constructed once per app, on first use.
+   */
+  stores?: Record<string, (abstract new () => object) | (() => object)>
+
+  /**
+   * useMobxBridge options used for every store
+   */
+  bridgeOptions?: MobxBridgeOptions
+}
+
+/**
+ * Vue plugin providing a per-app registry of lazily constructed, shared bridged stores.
+ * The bridges are disposed on `app.unmount()`.
+ */
+export const MobxBridgePlugin: Plugin<[MobxBridgePluginOptions?]>
+
+/**
+ * Returns the app-wide bridged state of a store registered with MobxBridgePlugin
+ *
+ * @param name - Name the store was registered under
+ */
+export function useStore<K extends keyof MobxBridgeStores>(name: K): MobxBridgeState<MobxBridgeStores[K]>
+export function useStore<T extends object = any>(name: string): MobxBridgeState<T>
+
+/**
+ * Returns the app-wide bridged state of the app's instance of a store class
+ *
+ * @param StoreClass - A registered store class, or any class constructible without arguments
+ */
+export function injectBridge<T extends object>(StoreClass: abstract new (...args: any[]) => T): MobxBridgeState<T>
+
+/**
+ * Vue plugin adding a "MobX Bridges" inspector (active bridges and their members) and a
+ * "MobX Bridge" timeline layer (MobX → Vue and Vue → MobX syncs) to Vue Devtools.
+ * Does nothing in production builds.
+ */
+export const MobxBridgeDevtools: Plugin
@@ -1,10 +1,22 @@
-import { reactive, onUnmounted, ref } from 'vue';
-import { toJS, reaction, observe } from 'mobx';
+import { reactive, ref, toRaw, computed, defineComponent, watch, inject, getCurrentScope, isRef, isReactive, isReadonly } from 'vue';
+import {
+  observable,
+  reaction,
+  autorun,
+  observe,
+  runInAction,
+  toJS,
+  isObservableArray,
+  isObservableMap,
+  isObservableSet,
+  isBoxedObservable,
+} from 'mobx';
 import { deepObserve } from 'mobx-utils';
 import clone from 'clone';
-import { categorizeMobxMembers } from './utils/memberDetection.js';
+import { categorizeMobxMembers, categorizeMobxMember } from './utils/memberDetection.js';
 import { isEqual } from './utils/equality.js';
-import { createDeepProxy } from './utils/deepProxy.js';
+import { createDeepProxy, createDeepProxyContext } from './utils/deepProxy.js';
+import { createValueCopiers } from './utils/instances.js';
 import {
   safelyReadInitialValue,
   createReactiveRef,
@@ -20,8 +32,34 @@ import {
   observeProperty,
   deepObserveProperty,
   observeGetter,
+  observeGetterOnDemand,
   safelyDisposeSubscription,
+  defineHiddenProperty,
+  disposeWithCurrentScope,
+  onAppUnmount,
+  isDevelopmentMode,
+  createFilteredMemberWarner,
+  createShallowRef,
+  createMobxToVueUpdater,
+  guardAgainstEchoLoop,
+  warnDirectMutation,
+  isMobxStore,
+  resolveNestedStoreMode,
+  announceAddedProperty,
+  observeMemberChanges,
+  resolveNestedSyncMode,
+  observeExpression,
+  createFlushScheduler,
+  createObserverRender,
+  copyFromVue,
+  createMobxToVueScheduler,
+  runVueAction,
 } from './utils/helpers.js';
+import { replaceContents } from './utils/patches.js';
+import { createStoreRegistry } from './utils/storeRegistry.js';
+import { acquireSharedBridge } from './utils/bridgeCache.js';
+import { registerBridge, createSyncReporter, currentActionName, configureBridgeEvents, now } from './utils/syncEvents.js';
+import { setupBridgeDevtools } from './utils/devtools.js';
 
 /**
  * 🌉 MobX-Vue Bridge
@@ -29,9 +67,32 @@ import {
  * Creates a bidirectional bridge between MobX observables and Vue 3 reactivity.
  * Automatically synchronizes changes in both directions while preventing infinite loops.
  * 
+ * When called inside an active Vue effect scope (component `setup()`, `effectScope().run()`,
+ * a Pinia setup store) the bridge is shared: every scope bridging the same MobX object with
+ * equal options gets the same state and MobX subscriptions, which are disposed when the
+ * last of those scopes is. Outside of a scope, each call creates its own bridge; call
+ * `state.$dispose()` to tear it down.
+ * 
+ * Top-level observable arrays, maps, sets and boxed values are bridged as a Vue-reactive
+ * array / Map / Set / Ref (see useMobxArray, useMobxMap, useMobxSet, useMobxBox).
+ * 
  * @param {object} mobxObject - The MobX observable object to bridge (created with makeAutoObservable)
  * @param {object} options - Configuration options
  * @param {boolean} options.allowDirectMutation - Whether to allow direct mutation of properties (default: true)
+ * @param {string|RegExp|Array|function} options.include - Only bridge matching members (names, RegExps or `(name, kind) => boolean`)
+ * @param {string|RegExp|Array|function} options.exclude - Never bridge matching members
+ * @param {string|RegExp|function|false} options.privatePattern - Convention for private members that are never bridged (default: '_')
+ * @param {boolean} options.lazyGetters - Only subscribe to getters while a Vue effect reads them (default: false)
+ * @param {string} options.nestedSync - When nested writes reach MobX: 'microtask' (batched, default) or 'sync' (immediately)
+ * @param {string|object} options.nestedStores - How properties holding other MobX stores are bridged: 'live' sub-bridges (default),
+ *   'snapshot' plain copies, or an object mapping property names to either mode
+ * @param {true|Array} options.preserveInstances - Class instances to pass through with their prototype instead of copying
+ *   (`true` for all non-observable instances, or a list of classes / `{ type, clone }` entries)
+ * @param {string} options.flush - When MobX changes reach Vue: 'sync' (immediately, default), 'batched' (when the
+ *   outermost MobX action or batch ends) or 'pre' (in Vue's pre-flush, before components re-render)
+ * @param {function} options.onEvent - Receives the bridge's events (syncs, suppressed echoes, read-only setters,
+ *   observe failures, creation and disposal; see configureBridge)
+ * @param {boolean} options.debug - Traces the bridge's events to the console (default: false)
  * @returns {object} Vue reactive state object with synchronized properties, getters, setters, and methods
  * 
  * @example
@@ -56,25 +117,153 @@ import {
  * ```
  */
 export function useMobxBridge(mobxObject, options = {}) {
-  // Validate mobxObject parameter
-  if (!mobxObject || typeof mobxObject !== 'object') {
-    throw new Error('useMobxBridge requires a valid MobX observable object as the first parameter');
+  // Without a scope the caller owns the lifecycle through state.$dispose(), so the
+  // bridge can't be shared with anyone else
+  if (!getCurrentScope()) {
+    return createMobxBridge(mobxObject, options).state;
+  }
+
+  // Validated up front: invalid values can't be used as shared bridge cache keys
+  assertBridgeableObject(mobxObject);
+
+  // Scopes bridging the same object with the same options share one bridge, which is
+  // disposed when the last of them is
+  const { state, release } = acquireSharedBridge(mobxObject, options, createMobxBridge);
+  disposeWithCurrentScope(release);
+
+  return state;
+}
+
+/**
+ * Creates a bridge without attaching it to any Vue lifecycle.
+ * 
+ * Intended for non-component callers (router guards, tests, services) that need to
+ * tear down the MobX subscriptions deterministically.
+ * 
+ * @param {object} mobxObject - The MobX observable object to bridge
+ * @param {object} options - Same options as useMobxBridge
+ * @returns {{ state: object, dispose: function }} The bridged state and an idempotent dispose function
+ * 
+ * @example
+ * ```javascript
+ * const { state, dispose } = createMobxBridge(store)
+ * // ... later
+ * dispose()
+ * ```
+ */
+export function createMobxBridge(mobxObject, options = {}) {
+  // One schedule for the whole tree, so sub-bridges are updated in the same flush
+  const mobxToVue = createMobxToVueScheduler(options?.flush);
+
+  if (isObservableValueSource(mobxObject)) {
+    const bridge = bridgeObservableValue(mobxObject, options || {}, mobxToVue);
+    const dispose = () => {
+      bridge.dispose();
+      mobxToVue.dispose();
+    };
+    defineHiddenProperty(bridge.state, '$dispose', dispose);
+    return { state: bridge.state, dispose };
   }
+
+  // Bridges of nested stores, shared by the whole tree so cycles resolve to one state
+  const storeBridges = new Map();
+  const { state } = bridgeStore(mobxObject, options, storeBridges, mobxToVue);
+  storeBridges.get(mobxObject).refs++;
+
+  // Disposing the root tears down every sub-bridge, including ones kept alive by cycles
+  let disposed = false;
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    storeBridges.forEach(bridge => bridge.dispose());
+    storeBridges.clear();
+    mobxToVue.dispose();
+  };
+
+  defineHiddenProperty(state, '$dispose', dispose);
+
+  return { state, dispose };
+}
+
+/**
+ * Bridges one MobX object and registers it in `storeBridges`.
+ * Nested stores held by its properties are bridged recursively through the same map.
+ *
+ * @param {object} mobxObject - The MobX observable object to bridge
+ * @param {object} options - Same options as useMobxBridge
+ * @param {Map} storeBridges - MobX object → `{ state, dispose, refs }` for the whole bridge tree
+ * @param {object} mobxToVue - Applies or queues MobX → Vue updates (see createMobxToVueScheduler)
+ * @returns {{ state: object, dispose: function }} The bridged state and its dispose function
+ */
+function bridgeStore(mobxObject, options, storeBridges, mobxToVue) {
+  assertBridgeableObject(mobxObject);
   
   const safeOptions = options || {};
   // Use explicit boolean conversion to handle truthy/falsy values properly
   const allowDirectMutation = safeOptions.allowDirectMutation !== undefined 
     ? Boolean(safeOptions.allowDirectMutation) 
     : true; // Keep the original default of true
+  const lazyGetters = Boolean(safeOptions.lazyGetters);
+  const nestedSync = resolveNestedSyncMode(safeOptions.nestedSync);
+  // How values are copied MobX → Vue (snapshot) and Vue → MobX (copy)
+  const { snapshot, copy } = createValueCopiers(safeOptions.preserveInstances);
+  // When MobX → Vue updates are applied (flush option); refs written by them come from createSyncedRef
+  const { schedule: scheduleUpdate, anticipate: anticipateUpdate, createRef: createSyncedRef } = mobxToVue;
   
-  const vueState = reactive({});
-
   // Use the imported categorization function
-  const members = categorizeMobxMembers(mobxObject);
+  // Members filtered out here are neither bridged nor subscribed to
+  const memberOptions = {
+    include: safeOptions.include,
+    exclude: safeOptions.exclude,
+    privatePattern: safeOptions.privatePattern,
+  };
+  const members = categorizeMobxMembers(mobxObject, memberOptions);
+
+  // In development, reading a filtered member warns instead of silently returning undefined
+  const vueState = reactive(
+    isDevelopmentMode() && members.filtered.size > 0
+      ? Object.create(createFilteredMemberWarner(members.filtered))
+      : {}
+  );
 
   // ---- utils: guards -------------------------------------------------------
   const updatingFromMobx = new Set();
   const updatingFromVue = new Set();
+  const readOnlyDetected = new Set(); // Track properties detected as read-only on first write
+  const subscriptions = [];
+  const memberSubscriptions = new Map(); // member name -> its subscriptions, for unbridging
+
+  const addSubscription = (memberName, subscription) => {
+    if (!subscription) return;
+    subscriptions.push(subscription);
+    if (!memberSubscriptions.has(memberName)) memberSubscriptions.set(memberName, []);
+    memberSubscriptions.get(memberName).push(subscription);
+  };
+
+  const removeItem = (list, item) => {
+    const index = list.indexOf(item);
+    if (index !== -1) list.splice(index, 1);
+  };
+
+  const disposeSubscription = (memberName, subscription) => {
+    safelyDisposeSubscription(subscription);
+    removeItem(subscriptions, subscription);
+    removeItem(memberSubscriptions.get(memberName) || [], subscription);
+  };
+
+  // Registered before any member is bridged, so a nested store pointing back here
+  // reuses this state instead of recursing
+  storeBridges.set(mobxObject, { state: vueState, dispose: () => dispose(), refs: 0 });
+
+  // Listed for inspection (Vue Devtools) until disposed; its events name this bridge
+  const { bridge: bridgeRecord, unregister } = registerBridge({
+    label: describeStore(mobxObject),
+    target: mobxObject,
+    state: vueState,
+    getMembers: () => categorizeMobxMembers(mobxObject, memberOptions),
+    readOnlyDetected,
+  });
+  const syncReporter = createSyncReporter(bridgeRecord, safeOptions);
 
   // Warning helpers to reduce duplication
   const warnMethodAssignment = (prop) => console.warn(`Cannot assign to method '${prop}'`);
@@ -83,42 +272,200 @@ export function useMobxBridge(mobxObject, options = {}) {
   const propertyRefs = {};
   
   const bridgeObservableProperty = (propertyName) => {
-    propertyRefs[propertyName] = createReactiveRef(toJS(mobxObject[propertyName]));
+    propertyRefs[propertyName] = createSyncedRef(snapshot(mobxObject[propertyName]));
+
+    // Nested writes anywhere in this property's tree share one patch queue
+    const deepProxyContext = createDeepProxyContext({
+      prop: propertyName,
+      getRoot: () => propertyRefs[propertyName].value,
+      allowDirectMutation,
+      updatingFromVue,
+      mobxObject,
+      nestedSync,
+      copy,
+      syncReporter,
+    });
 
     const createDeepProxyForValue = (value) => {
       if (value && typeof value === 'object') {
-        return createDeepProxy(
-          value, 
-          propertyName, 
-          () => propertyRefs[propertyName].value,
-          allowDirectMutation,
-          updatingFromVue,
-          mobxObject,
-          propertyRefs
-        );
+        return createDeepProxy(value, deepProxyContext);
       }
       return value;
     };
 
+    const setValue = createTwoWayBindingSetter({
+      propertyName,
+      target: mobxObject,
+      allowDirectMutation,
+      guardSet: updatingFromVue,
+      propertyRef: propertyRefs[propertyName],
+      copy,
+      syncReporter,
+      // No deepProxyCreator needed - createTwoWayBindingSetter already clones the value
+    });
+
     defineReactiveProperty(vueState, propertyName, {
       get: () => createDeepProxyForValue(propertyRefs[propertyName].value),
-      set: createTwoWayBindingSetter({
-        propertyName,
-        target: mobxObject,
-        allowDirectMutation,
-        guardSet: updatingFromVue,
-        propertyRef: propertyRefs[propertyName],
-        // No deepProxyCreator needed - createTwoWayBindingSetter already clones the value
-      }),
+      set: (value) => {
+        // A store (or its bridged state) is assigned by reference and linked live,
+        // not copied into MobX
+        if (allowDirectMutation && isNestedStoreValue(propertyName, findStoreOfState(value))) {
+          rebridgeAsNestedStore(propertyName);
+          vueState[propertyName] = value;
+          return;
+        }
+        setValue(value);
+      },
     });
   };
 
-  members.properties.forEach(bridgeObservableProperty);
+  // ---- Bridge nested MobX stores (live sub-bridges) ----
+  // Properties holding another store expose that store's bridged state, so its getters
+  // stay live and its methods stay callable. Properties that only receive a store later
+  // (e.g. a sub-presenter created lazily) switch over when it arrives.
+  const isNestedStoreValue = (propertyName, value) =>
+    resolveNestedStoreMode(safeOptions.nestedStores, propertyName) === 'live' && isMobxStore(value);
+  const isLiveStoreProperty = (propertyName) => isNestedStoreValue(propertyName, mobxObject[propertyName]);
+  const storeProperties = members.properties.filter(isLiveStoreProperty);
+  const valueProperties = members.properties.filter(name => !storeProperties.includes(name));
+
+  // include/exclude and per-property modes name this object's members, so sub-bridges
+  // only inherit the general options
+  const subBridgeOptions = {
+    ...safeOptions,
+    include: undefined,
+    exclude: undefined,
+    nestedStores: typeof safeOptions.nestedStores === 'string' ? safeOptions.nestedStores : undefined,
+  };
+
+  const acquireStoreState = (store) => {
+    if (!storeBridges.has(store)) {
+      bridgeStore(store, subBridgeOptions, storeBridges, mobxToVue);
+    }
+    const bridge = storeBridges.get(store);
+    bridge.refs++;
+    return bridge.state;
+  };
+
+  const releaseStoreState = (store) => {
+    const bridge = storeBridges.get(store);
+    if (!bridge || --bridge.refs > 0) return;
+    storeBridges.delete(store);
+    bridge.dispose();
+  };
+
+  const nestedStores = {}; // propertyName -> { store, ref }
+
+  // Points the Vue property at the bridge of the store now held by MobX. Values that
+  // aren't stores (e.g. null) are exposed as snapshots.
+  const linkNestedStore = (propertyName, value) => {
+    const link = nestedStores[propertyName];
+    if (link.store && link.store === value) return;
+
+    const previous = link.store;
+    link.store = isMobxStore(value) ? value : null;
+    link.ref.value = link.store ? acquireStoreState(link.store) : snapshot(value);
+    if (previous) releaseStoreState(previous);
+  };
+
+  // Maps a bridged state assigned from Vue back to its MobX store (Vue hands the
+  // setter the raw object, so compare unwrapped)
+  const findStoreOfState = (value) => {
+    for (const [store, bridge] of storeBridges) {
+      if (toRaw(bridge.state) === toRaw(value)) return store;
+    }
+    return value;
+  };
+
+  const bridgeNestedStore = (propertyName) => {
+    nestedStores[propertyName] = { store: null, ref: createShallowRef(undefined) };
+    linkNestedStore(propertyName, mobxObject[propertyName]);
+
+    defineReactiveProperty(vueState, propertyName, {
+      get: () => nestedStores[propertyName].ref.value,
+      set: (value) => {
+        if (!allowDirectMutation) {
+          warnDirectMutation(propertyName);
+          return;
+        }
+        const previousStore = nestedStores[propertyName].store;
+        const startedAt = syncReporter.active ? now() : undefined;
+        guardAgainstEchoLoop(propertyName, updatingFromVue, () => {
+          runVueAction(`vue:set ${propertyName}`, () => {
+            mobxObject[propertyName] = findStoreOfState(value);
+          });
+        });
+        linkNestedStore(propertyName, mobxObject[propertyName]);
+        if (syncReporter.active) {
+          syncReporter.report({
+            type: 'sync:vue-to-mobx',
+            property: propertyName,
+            path: [],
+            oldValue: previousStore,
+            newValue: mobxObject[propertyName],
+            action: `vue:set ${propertyName}`,
+            startedAt,
+          });
+        }
+      },
+    });
+
+    const storeSub = observe(mobxObject, propertyName, (change) => {
+      if (updatingFromVue.has(propertyName)) { // Linked by the setter
+        if (syncReporter.active) syncReporter.report({ type: 'echo:suppressed', property: propertyName, path: [] });
+        return;
+      }
+      const syncEvent = syncReporter.active ? {
+        type: 'sync:mobx-to-vue',
+        property: propertyName,
+        path: [],
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+        action: currentActionName(),
+        startedAt: now(),
+      } : null;
+      scheduleUpdate(() => {
+        linkNestedStore(propertyName, mobxObject[propertyName]);
+        if (syncEvent) syncReporter.report(syncEvent);
+      });
+    });
+    addSubscription(propertyName, storeSub);
+  };
+
+  // Switches a value property over to a live nested store link
+  const rebridgeAsNestedStore = (propertyName) => {
+    unbridgeMember(propertyName);
+    bridgeNestedStore(propertyName);
+    announceAddedProperty(vueState, propertyName);
+  };
+
+  storeProperties.forEach(bridgeNestedStore);
+  valueProperties.forEach(bridgeObservableProperty);
 
   // ---- getters and setters (handle both computed and two-way binding) ------
   const getterRefs = {};
   const setterRefs = {};
-  const readOnlyDetected = new Set(); // Track properties detected as read-only on first write
+
+  // Creates the Vue-side read function for a getter. Eager getters are observed by
+  // observeBridgedGetter; lazy ones subscribe when a Vue effect reads them.
+  const createGetterReader = (propertyName) => {
+    if (!lazyGetters) {
+      getterRefs[propertyName] = createSyncedRef(safelyReadInitialValue(mobxObject, propertyName, snapshot));
+      return () => getterRefs[propertyName].value;
+    }
+
+    getterRefs[propertyName] = createSyncedRef(undefined);
+    const onDemandSub = observeGetterOnDemand({
+      target: mobxObject,
+      propertyName,
+      refToUpdate: getterRefs[propertyName],
+      snapshot,
+      schedule: scheduleUpdate,
+      syncReporter,
+    });
+    addSubscription(propertyName, onDemandSub);
+    return onDemandSub.read;
+  };
 
   // Categorize properties by their getter/setter combinations
   const getterSetterPairs = separateGetterSetterPairs(members.getters, members.setters);
@@ -128,17 +475,15 @@ export function useMobxBridge(mobxObject, options = {}) {
   // ---- Bridge getter/setter pairs (potentially writable computed properties) ----
   // Note: Some may have MobX synthetic setters that throw - we detect this lazily on first write
   const bridgeGetterSetterPair = (propertyName) => {
-    const initialValue = safelyReadInitialValue(mobxObject, propertyName);
-    getterRefs[propertyName] = createReactiveRef(initialValue);
-
     defineReactiveProperty(vueState, propertyName, {
-      get: () => getterRefs[propertyName].value,
+      get: createGetterReader(propertyName),
       set: createLazyValidatedSetter({
         propertyName,
         target: mobxObject,
         allowDirectMutation,
         readOnlySet: readOnlyDetected,
         guardSet: updatingFromVue,
+        syncReporter,
       }),
     });
   };
@@ -147,11 +492,8 @@ export function useMobxBridge(mobxObject, options = {}) {
 
   // ---- Bridge getter-only properties (read-only computed) ----
   const bridgeGetterOnly = (propertyName) => {
-    const initialValue = safelyReadInitialValue(mobxObject, propertyName);
-    getterRefs[propertyName] = createReactiveRef(initialValue);
-
     defineReactiveProperty(vueState, propertyName, {
-      get: () => getterRefs[propertyName].value,
+      get: createGetterReader(propertyName),
       set: createReadOnlySetter(propertyName),
     });
   };
@@ -170,6 +512,7 @@ export function useMobxBridge(mobxObject, options = {}) {
         allowDirectMutation,
         guardSet: updatingFromVue,
         setterRef: setterRefs[propertyName],
+        syncReporter,
       }),
     });
   };
@@ -190,75 +533,920 @@ export function useMobxBridge(mobxObject, options = {}) {
   members.methods.forEach(bridgeMethod);
 
   // ---- MobX → Vue: property observation ----------------------------------------
-  const subscriptions = [];
   const deepObserveSubscriptions = {}; // Track deep observe subs per property for re-subscription
 
-  setupPropertyObservation();
-  setupGetterObservation();
-
   // Observe observable properties for MobX → Vue sync
-  function setupPropertyObservation() {
-    members.properties.forEach(propertyName => {
-      // Helper to setup/re-setup deep observation for a value
-      const setupDeepObserve = (value) => {
-        // Dispose existing deep observe subscription if any
-        if (deepObserveSubscriptions[propertyName]) {
-          safelyDisposeSubscription(deepObserveSubscriptions[propertyName]);
-          deepObserveSubscriptions[propertyName] = null;
-        }
-        
-        // Only deep observe objects and arrays
-        if (!value || typeof value !== 'object') {
-          return;
-        }
-
-        const deepObserveSub = deepObserveProperty({
-          target: mobxObject,
-          propertyName,
-          refToUpdate: propertyRefs[propertyName],
-          echoGuard: updatingFromVue,
-          updateGuard: updatingFromMobx,
-        });
-        if (deepObserveSub) {
-          deepObserveSubscriptions[propertyName] = deepObserveSub;
-          subscriptions.push(deepObserveSub);
-        }
-      };
+  const observeBridgedProperty = (propertyName) => {
+    // Helper to setup/re-setup deep observation for a value
+    const setupDeepObserve = (value) => {
+      // Dispose existing deep observe subscription if any
+      if (deepObserveSubscriptions[propertyName]) {
+        disposeSubscription(propertyName, deepObserveSubscriptions[propertyName]);
+        deepObserveSubscriptions[propertyName] = null;
+      }
+      
+      // Only deep observe objects and arrays
+      if (!value || typeof value !== 'object') {
+        return;
+      }
 
-      // Observe direct property changes
-      const observeSub = observeProperty({
+      const deepObserveSub = deepObserveProperty({
         target: mobxObject,
         propertyName,
         refToUpdate: propertyRefs[propertyName],
         echoGuard: updatingFromVue,
         updateGuard: updatingFromMobx,
-        onValueChanged: setupDeepObserve, // Re-subscribe deepObserve when value changes
+        snapshot,
+        schedule: scheduleUpdate,
+        syncReporter,
       });
-      if (observeSub) subscriptions.push(observeSub);
+      if (deepObserveSub) {
+        deepObserveSubscriptions[propertyName] = deepObserveSub;
+        addSubscription(propertyName, deepObserveSub);
+      }
+    };
 
-      // Initial deep observe setup
-      setupDeepObserve(mobxObject[propertyName]);
+    // Observe direct property changes
+    const observeSub = observeProperty({
+      target: mobxObject,
+      propertyName,
+      refToUpdate: propertyRefs[propertyName],
+      echoGuard: updatingFromVue,
+      updateGuard: updatingFromMobx,
+      onValueChanged: setupDeepObserve, // Re-subscribe deepObserve when value changes
+      handOff: (value) => {
+        if (!isNestedStoreValue(propertyName, value)) return false;
+        rebridgeAsNestedStore(propertyName);
+        return true;
+      },
+      snapshot,
+      schedule: scheduleUpdate,
+      anticipate: anticipateUpdate,
+      syncReporter,
     });
-  }
+    addSubscription(propertyName, observeSub);
+
+    // Initial deep observe setup
+    setupDeepObserve(mobxObject[propertyName]);
+  };
 
   // Observe computed properties (getters) for MobX → Vue sync
-  function setupGetterObservation() {
-    [...gettersOnly, ...getterSetterPairs].forEach(propertyName => {
-      const reactionSub = observeGetter({
-        target: mobxObject,
-        propertyName,
-        refToUpdate: getterRefs[propertyName],
-      });
-      subscriptions.push(reactionSub);
+  // Lazy getters subscribe on first read instead (see createGetterReader)
+  const observeBridgedGetter = (propertyName) => {
+    if (lazyGetters) return;
+
+    const reactionSub = observeGetter({
+      target: mobxObject,
+      propertyName,
+      refToUpdate: getterRefs[propertyName],
+      snapshot,
+      schedule: scheduleUpdate,
+      syncReporter,
     });
+    addSubscription(propertyName, reactionSub);
+  };
+
+  valueProperties.forEach(observeBridgedProperty);
+  [...gettersOnly, ...getterSetterPairs].forEach(observeBridgedGetter);
+
+  // ---- MobX → Vue: members added or removed after creation ------------------
+  // Bridges one member by kind; members that already hold a store are linked live
+  const bridgeMember = (propertyName, categorized) => {
+    const isGetter = categorized.getters.includes(propertyName);
+    const isSetter = categorized.setters.includes(propertyName);
+
+    if (categorized.properties.includes(propertyName)) {
+      if (isLiveStoreProperty(propertyName)) {
+        bridgeNestedStore(propertyName);
+      } else {
+        bridgeObservableProperty(propertyName);
+        observeBridgedProperty(propertyName);
+      }
+    } else if (categorized.methods.includes(propertyName)) {
+      bridgeMethod(propertyName);
+    } else if (isGetter) {
+      if (isSetter) {
+        bridgeGetterSetterPair(propertyName);
+      } else {
+        bridgeGetterOnly(propertyName);
+      }
+      observeBridgedGetter(propertyName);
+    } else if (isSetter) {
+      bridgeSetterOnly(propertyName);
+    }
+  };
+
+  const isBridgedMember = (propertyName) =>
+    Object.prototype.hasOwnProperty.call(toRaw(vueState), propertyName);
+
+  const unbridgeMember = (propertyName) => {
+    if (!isBridgedMember(propertyName)) return;
+
+    [...(memberSubscriptions.get(propertyName) || [])]
+      .forEach(subscription => disposeSubscription(propertyName, subscription));
+    memberSubscriptions.delete(propertyName);
+
+    // Through the reactive proxy, so Object.keys(state) and v-for update
+    delete vueState[propertyName];
+
+    const link = nestedStores[propertyName];
+    if (link?.store) releaseStoreState(link.store);
+    delete nestedStores[propertyName];
+    delete propertyRefs[propertyName];
+    delete getterRefs[propertyName];
+    delete setterRefs[propertyName];
+    delete deepObserveSubscriptions[propertyName];
+    readOnlyDetected.delete(propertyName);
+  };
+
+  const bridgeAddedMember = (propertyName) => {
+    // Redefined members (e.g. extendObservable over an existing key) are bridged anew
+    unbridgeMember(propertyName);
+
+    const categorized = categorizeMobxMember(mobxObject, propertyName, memberOptions);
+    categorized.filtered.forEach((reason, name) => members.filtered.set(name, reason));
+
+    bridgeMember(propertyName, categorized);
+    if (isBridgedMember(propertyName)) {
+      announceAddedProperty(vueState, propertyName);
+    }
+  };
+
+  const memberChangesSub = observeMemberChanges({
+    target: mobxObject,
+    onAdd: bridgeAddedMember,
+    onRemove: unbridgeMember,
+  });
+  if (memberChangesSub) subscriptions.push(memberChangesSub);
+
+  if (syncReporter.active) syncReporter.report({ type: 'bridge:created' });
+
+  // ---- Cleanup ------------------------------------------------------------
+  let disposed = false;
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    subscriptions.forEach(safelyDisposeSubscription);
+    subscriptions.length = 0;
+    Object.values(nestedStores).forEach(link => link.store && releaseStoreState(link.store));
+    if (syncReporter.active) syncReporter.report({ type: 'dispose' });
+    syncReporter.dispose();
+    unregister();
+  };
+
+  return { state: vueState, dispose };
+}
+
+/**
+ * Names a bridged store for inspection: its class name, or 'observable' for plain
+ * observable objects.
+ */
+function describeStore(mobxObject) {
+  const name = mobxObject.constructor?.name;
+  return name && name !== 'Object' ? name : 'observable';
+}
+
+// ============================================================================
+// TOP-LEVEL COLLECTIONS AND BOXED VALUES
+// ============================================================================
+
+/**
+ * Bridges a top-level MobX observable array.
+ * 
+ * @param {Array} observableArray - Array created with `observable([])`
+ * @param {object} options - `allowDirectMutation`, `nestedSync`, `preserveInstances`, `flush`, `onEvent` and `debug` (see useMobxBridge)
+ * @returns {Array} Vue-reactive array, two-way synced with the MobX array
+ * 
+ * @example
+ * ```javascript
+ * const todos = observable([{ title: 'Write docs', done: false }])
+ * const items = useMobxArray(todos)
+ * items.push({ title: 'Release', done: false }) // pushed onto the MobX array
+ * ```
+ */
+export function useMobxArray(observableArray, options = {}) {
+  if (!isObservableArray(observableArray)) {
+    throw new Error('useMobxArray requires a MobX observable array');
+  }
+  return useMobxBridge(observableArray, options);
+}
+
+/**
+ * Bridges a top-level MobX observable map.
+ * 
+ * @param {Map} observableMap - Map created with `observable.map()`
+ * @param {object} options - `allowDirectMutation`, `nestedSync`, `preserveInstances`, `flush`, `onEvent` and `debug` (see useMobxBridge)
+ * @returns {Map} Vue-reactive Map, two-way synced with the MobX map
+ */
+export function useMobxMap(observableMap, options = {}) {
+  if (!isObservableMap(observableMap)) {
+    throw new Error('useMobxMap requires a MobX observable map');
   }
+  return useMobxBridge(observableMap, options);
+}
 
-  // Cleanup subscriptions when component unmounts
-  onUnmounted(() => {
+/**
+ * Bridges a top-level MobX observable set.
+ * 
+ * @param {Set} observableSet - Set created with `observable.set()`
+ * @param {object} options - `allowDirectMutation`, `nestedSync`, `preserveInstances`, `flush`, `onEvent` and `debug` (see useMobxBridge)
+ * @returns {Set} Vue-reactive Set, two-way synced with the MobX set
+ */
+export function useMobxSet(observableSet, options = {}) {
+  if (!isObservableSet(observableSet)) {
+    throw new Error('useMobxSet requires a MobX observable set');
+  }
+  return useMobxBridge(observableSet, options);
+}
+
+/**
+ * Bridges a MobX boxed value.
+ * 
+ * @param {object} box - Value created with `observable.box()`
+ * @param {object} options - `allowDirectMutation`, `nestedSync`, `preserveInstances`, `flush`, `onEvent` and `debug` (see useMobxBridge)
+ * @returns {object} Writable Vue Ref, two-way synced with the box
+ * 
+ * @example
+ * ```javascript
+ * const count = useMobxBox(observable.box(0))
+ * count.value++ // box.get() === 1
+ * ```
+ */
+export function useMobxBox(box, options = {}) {
+  if (!isBoxedObservable(box)) {
+    throw new Error('useMobxBox requires a MobX boxed observable');
+  }
+  return useMobxBridge(box, options);
+}
+
+/**
+ * Throws for values that can't be bridged at all (null, primitives, functions).
+ */
+function assertBridgeableObject(value) {
+  if (!value || typeof value !== 'object') {
+    throw new Error('useMobxBridge requires a valid MobX observable object as the first parameter');
+  }
+}
+
+/**
+ * Checks for MobX values that are bridged as a whole rather than member by member.
+ */
+function isObservableValueSource(value) {
+  return isObservableArray(value) || isObservableMap(value) ||
+    isObservableSet(value) || isBoxedObservable(value);
+}
+
+/**
+ * Bridges a top-level observable array, map, set or boxed value.
+ * 
+ * The sync helpers work on a named property of a MobX object, so the source is exposed
+ * as the `value` of a holder object. Vue-side writes replayed onto the holder replace
+ * the collection's contents (or set the box) instead of reassigning anything.
+ *
+ * @param {object} source - Observable array, map, set or box
+ * @param {object} options - Same options as useMobxBridge (member options don't apply)
+ * @param {object} mobxToVue - Applies or queues MobX → Vue updates (see createMobxToVueScheduler)
+ * @returns {{ state: object, dispose: function }} The bridged value and its dispose function
+ */
+function bridgeObservableValue(source, options, mobxToVue) {
+  const isBox = isBoxedObservable(source);
+  const { bridge: bridgeRecord, unregister } = registerBridge({
+    label: describeObservableValue(source),
+    target: source,
+    state: null,
+  });
+
+  const settings = {
+    allowDirectMutation: options.allowDirectMutation !== undefined
+      ? Boolean(options.allowDirectMutation)
+      : true,
+    nestedSync: resolveNestedSyncMode(options.nestedSync),
+    ...createValueCopiers(options.preserveInstances),
+    updatingFromMobx: new Set(),
+    updatingFromVue: new Set(),
+    mobxToVue,
+    syncReporter: createSyncReporter(bridgeRecord, options),
+    holder: isBox
+      ? { get value() { return source.get(); }, set value(next) { source.set(next); } }
+      : { get value() { return source; }, set value(next) { source.replace(next); } },
+  };
+
+  const { state, subscriptions } = isBox
+    ? bridgeBoxedValue(source, settings)
+    : bridgeObservableCollection(settings);
+  bridgeRecord.state = state;
+
+  const { syncReporter } = settings;
+  if (syncReporter.active) syncReporter.report({ type: 'bridge:created' });
+
+  let disposed = false;
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
     subscriptions.forEach(safelyDisposeSubscription);
+    if (syncReporter.active) syncReporter.report({ type: 'dispose' });
+    syncReporter.dispose();
+    unregister();
+  };
+
+  return { state, dispose };
+}
+
+/**
+ * Names a bridged top-level value for inspection.
+ */
+function describeObservableValue(source) {
+  if (isBoxedObservable(source)) return 'observable.box';
+  if (isObservableArray(source)) return 'observable.array';
+  return isObservableMap(source) ? 'observable.map' : 'observable.set';
+}
+
+/**
+ * Bridges an observable array, map or set as a Vue-reactive collection of the same kind.
+ * The handed-out collection keeps its identity: MobX changes are patched into it, and
+ * full resyncs replace its contents.
+ */
+function bridgeObservableCollection({
+  holder, allowDirectMutation, nestedSync, snapshot, copy, updatingFromMobx, updatingFromVue, mobxToVue, syncReporter,
+}) {
+  const collection = reactive(snapshot(holder.value));
+  const collectionRef = {
+    get value() { return collection; },
+    set value(next) { replaceContents(collection, next); },
+  };
+
+  const deepProxyContext = createDeepProxyContext({
+    prop: 'value',
+    getRoot: () => collection,
+    allowDirectMutation,
+    updatingFromVue,
+    mobxObject: holder,
+    nestedSync,
+    copy,
+    syncReporter,
   });
 
-  return vueState;
+  const deepObserveSub = deepObserveProperty({
+    target: holder,
+    propertyName: 'value',
+    refToUpdate: collectionRef,
+    echoGuard: updatingFromVue,
+    updateGuard: updatingFromMobx,
+    snapshot,
+    schedule: mobxToVue.schedule,
+    syncReporter,
+  });
+
+  return {
+    state: createDeepProxy(collection, deepProxyContext),
+    subscriptions: [deepObserveSub],
+  };
+}
+
+/**
+ * Bridges an observable box as a writable Vue Ref. Object values are deep proxied and
+ * deep observed like bridged properties.
+ */
+function bridgeBoxedValue(box, {
+  holder, allowDirectMutation, nestedSync, snapshot, copy, updatingFromMobx, updatingFromVue, mobxToVue, syncReporter,
+}) {
+  const valueRef = mobxToVue.createRef(snapshot(box.get()));
+
+  const deepProxyContext = createDeepProxyContext({
+    prop: 'value',
+    getRoot: () => valueRef.value,
+    allowDirectMutation,
+    updatingFromVue,
+    mobxObject: holder,
+    nestedSync,
+    copy,
+    syncReporter,
+  });
+
+  const state = computed({
+    get: () => {
+      const value = valueRef.value;
+      return value && typeof value === 'object' ? createDeepProxy(value, deepProxyContext) : value;
+    },
+    set: createTwoWayBindingSetter({
+      propertyName: 'value',
+      target: holder,
+      allowDirectMutation,
+      guardSet: updatingFromVue,
+      propertyRef: valueRef,
+      copy,
+      syncReporter,
+    }),
+  });
+
+  const syncOptions = {
+    target: holder,
+    propertyName: 'value',
+    refToUpdate: valueRef,
+    echoGuard: updatingFromVue,
+    updateGuard: updatingFromMobx,
+    snapshot,
+    schedule: mobxToVue.schedule,
+    syncReporter,
+  };
+  const updater = createMobxToVueUpdater(syncOptions);
+
+  // Re-subscribed whenever the box holds a new value
+  let deepObserveSub = null;
+  const observeBoxedValue = () => {
+    safelyDisposeSubscription(deepObserveSub);
+    deepObserveSub = deepObserveProperty(syncOptions);
+  };
+  observeBoxedValue();
+
+  const boxSub = observe(box, () => {
+    updater();
+    observeBoxedValue();
+  });
+
+  return {
+    state,
+    subscriptions: [boxSub, () => safelyDisposeSubscription(deepObserveSub)],
+  };
+}
+
+// ============================================================================
+// DERIVED VALUES
+// ============================================================================
+
+/**
+ * Derives a read-only Vue ref from an ad-hoc MobX expression.
+ * 
+ * The expression runs as a MobX `computed`, so it can combine several stores without
+ * adding a getter to a presenter. Like bridged getters, the result is a `toJS` copy and
+ * structurally equal results don't trigger Vue. The subscription is disposed with the
+ * active effect scope, or with `ref.$dispose()`.
+ * 
+ * @param {function} expression - Reads MobX observables and returns the derived value
+ * @param {object} options - Configuration options
+ * @param {function} options.equals - MobX comparer deciding when the value changed
+ *   (e.g. `comparer.shallow`); replaces the default structural check
+ * @param {function} options.onError - Called when the expression throws (default: console.warn).
+ *   The ref holds undefined until the expression succeeds again
+ * @returns {object} Read-only Vue ref with the derived value
+ * 
+ * @example
+ * ```javascript
+ * const openCount = useMobxComputed(() => todoStore.items.filter(item => !item.done).length)
+ * ```
+ */
+export function useMobxComputed(expression, options = {}) {
+  if (typeof expression !== 'function') {
+    throw new Error('useMobxComputed requires an expression function as the first parameter');
+  }
+
+  const safeOptions = options || {};
+  const valueRef = createReactiveRef(undefined);
+  const subscription = observeExpression({
+    expression,
+    refToUpdate: valueRef,
+    equals: safeOptions.equals,
+    onError: safeOptions.onError ??
+      ((error) => console.warn('[mobx-vue-bridge] useMobxComputed expression threw:', error)),
+  });
+
+  const dispose = () => safelyDisposeSubscription(subscription);
+  disposeWithCurrentScope(dispose);
+
+  const derivedRef = computed(() => valueRef.value);
+  defineHiddenProperty(derivedRef, '$dispose', dispose);
+  return derivedRef;
+}
+
+// ============================================================================
+// SIDE EFFECTS
+// ============================================================================
+
+/**
+ * Runs a side effect whenever a MobX expression changes, like MobX `reaction()`, and
+ * disposes it with the active effect scope (component `setup()`, `effectScope()`).
+ * 
+ * With `flush: 'pre'` or `'post'` the effect runs in Vue's scheduler instead of
+ * synchronously, e.g. after the DOM has been updated for `'post'`. Changes before the
+ * flush are batched: the effect runs once with the latest value and the value before
+ * the first change.
+ * 
+ * @param {function} expression - Tracked MobX expression
+ * @param {function} effect - Called with `(value, previousValue, reaction)`
+ * @param {object} options - Configuration options
+ * @param {boolean} options.fireImmediately - Run the effect for the initial value (default: false)
+ * @param {number} options.delay - Throttle the effect by this many milliseconds
+ * @param {function} options.equals - MobX comparer deciding when the expression changed
+ * @param {string} options.flush - When the effect runs: 'sync' (default), 'pre' or 'post'
+ * @returns {function} Disposes the reaction
+ * 
+ * @example
+ * ```javascript
+ * useMobxReaction(
+ *   () => chat.messages.length,
+ *   () => list.value.scrollTo({ top: list.value.scrollHeight }),
+ *   { flush: 'post' }
+ * )
+ * ```
+ */
+export function useMobxReaction(expression, effect, options = {}) {
+  const safeOptions = options || {};
+  const scheduler = createFlushScheduler(safeOptions.flush, 'useMobxReaction');
+
+  let batched = false;
+  let batchPreviousValue;
+  const scheduleEffect = (value, previousValue, reactionHandle) => {
+    if (!batched) {
+      batched = true;
+      batchPreviousValue = previousValue;
+    }
+    scheduler.schedule(() => {
+      batched = false;
+      effect(value, batchPreviousValue, reactionHandle);
+    });
+  };
+
+  const reactionSub = reaction(expression, scheduleEffect, {
+    fireImmediately: safeOptions.fireImmediately,
+    delay: safeOptions.delay,
+    equals: safeOptions.equals,
+  });
+
+  return disposeSideEffect(reactionSub, scheduler);
+}
+
+/**
+ * Runs a function now and whenever the MobX observables it reads change, like MobX
+ * `autorun()`, and disposes it with the active effect scope.
+ * 
+ * With `flush: 'pre'` or `'post'` every run, including the first, happens in Vue's
+ * scheduler, so a `'post'` autorun created in `setup()` first runs after mounting.
+ * 
+ * @param {function} view - Tracked function, called with the MobX reaction
+ * @param {object} options - Configuration options
+ * @param {number} options.delay - Throttle runs by this many milliseconds
+ * @param {string} options.flush - When the function runs: 'sync' (default), 'pre' or 'post'
+ * @returns {function} Disposes the autorun
+ */
+export function useMobxAutorun(view, options = {}) {
+  const safeOptions = options || {};
+  const scheduler = createFlushScheduler(safeOptions.flush, 'useMobxAutorun');
+  const { delay } = safeOptions;
+
+  const autorunSub = autorun(view, {
+    scheduler: (run) => {
+      if (delay) {
+        setTimeout(() => scheduler.schedule(run), delay);
+      } else {
+        scheduler.schedule(run);
+      }
+    },
+  });
+
+  return disposeSideEffect(autorunSub, scheduler);
+}
+
+/**
+ * Ties a MobX reaction and its flush scheduler to the active effect scope and returns
+ * an idempotent dispose function.
+ */
+function disposeSideEffect(subscription, scheduler) {
+  let disposed = false;
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    safelyDisposeSubscription(subscription);
+    scheduler.stop();
+  };
+
+  disposeWithCurrentScope(dispose);
+  return dispose;
+}
+
+// ============================================================================
+// OBSERVER COMPONENTS
+// ============================================================================
+
+/**
+ * Makes a component re-render when MobX observables read during its render change,
+ * so templates can read presenters directly (`presenter.items`) without bridging.
+ * 
+ * The render function runs inside a MobX Reaction per component instance, which is
+ * disposed on unmount. Works with `render` options (including compiled SFC templates),
+ * `setup()` returning a render function, and functional components. Bridged state and
+ * Vue refs keep working in the same component.
+ * 
+ * @param {object|function} component - Component options or a functional component
+ * @returns {object|function} The observing component
+ * 
+ * @example
+ * ```javascript
+ * export default observer({
+ *   props: ['presenter'],
+ *   render() {
+ *     return h('ul', this.presenter.items.map(item => h('li', item.title)))
+ *   },
+ * })
+ * ```
+ */
+export function observer(component) {
+  if (typeof component === 'function') {
+    const name = component.displayName || component.name || 'ObserverComponent';
+    return Object.assign(createObserverRender(component, name), component);
+  }
+
+  if (!component || typeof component !== 'object') {
+    throw new Error('observer requires a component options object or a functional component');
+  }
+
+  const name = component.name || 'ObserverComponent';
+  const observing = { ...component };
+
+  if (typeof component.render === 'function') {
+    observing.render = createObserverRender(component.render, name);
+  }
+
+  if (typeof component.setup === 'function') {
+    observing.setup = function observerSetup(...args) {
+      const setupResult = component.setup.apply(this, args);
+      return typeof setupResult === 'function'
+        ? createObserverRender(setupResult, name)
+        : setupResult;
+    };
+  }
+
+  return observing;
+}
+
+/**
+ * `defineComponent()` for observer components (see observer).
+ * 
+ * @param {object|function} options - Component options or a setup function
+ * @returns {object} The observing component
+ */
+export function defineObserverComponent(options) {
+  return observer(defineComponent(options));
+}
+
+// ============================================================================
+// REVERSE BRIDGE (VUE → MOBX OBSERVABLES)
+// ============================================================================
+
+/**
+ * Exposes Vue reactive state as a MobX observable, so MobX computeds and reactions can
+ * depend on it (e.g. while migrating Pinia or `reactive()` stores).
+ * 
+ * Refs become an `observable.box`, reactive objects an observable object with one
+ * property per key (keys starting with `$` or `_` and functions are skipped). Both sides
+ * stay in sync: Vue changes are applied in a MobX action from a `flush: 'sync'` watcher,
+ * MobX changes are written back to Vue (unless the source is read-only). Nested values
+ * are copied, so a nested change replaces the top-level value on the other side.
+ * 
+ * Disposed with the active effect scope, or with `$dispose()` on the returned observable.
+ * 
+ * @param {object} source - A Vue ref or reactive object
+ * @returns {object} MobX observable box (for refs) or observable object (for reactive objects)
+ * 
+ * @example
+ * ```javascript
+ * const settings = reactive({ currency: 'EUR' })
+ * const mobxSettings = fromVue(settings)
+ * 
+ * class PricePresenter {
+ *   get label() { return `${this.amount} ${mobxSettings.currency}` }
+ * }
+ * ```
+ */
+export function fromVue(source) {
+  let bridged;
+  if (isRef(source)) {
+    bridged = bridgeVueRef(source);
+  } else if (isReactive(source) || isReadonly(source)) {
+    bridged = bridgeVueReactive(source);
+  } else {
+    throw new Error('fromVue requires a Vue ref or reactive object');
+  }
+
+  const { target, subscriptions } = bridged;
+  let disposed = false;
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    subscriptions.forEach(safelyDisposeSubscription);
+  };
+
+  disposeWithCurrentScope(dispose);
+  // Defining a property on an observable object proxy counts as a change of its keys
+  runInAction(() => defineHiddenProperty(target, '$dispose', dispose));
+  return target;
+}
+
+/**
+ * Keeps a MobX box and a Vue ref in sync.
+ */
+function bridgeVueRef(source) {
+  const box = observable.box(copyFromVue(source.value));
+  const updatingFromVue = new Set();
+  const updatingFromMobx = new Set();
+
+  const stopWatch = watch(source, (value) => {
+    if (isCurrentlyUpdating('value', updatingFromMobx)) return;
+    guardAgainstEchoLoop('value', updatingFromVue, () => {
+      runVueAction('vue:sync value', () => box.set(copyFromVue(value)));
+    });
+  }, { deep: true, flush: 'sync' });
+
+  const reactionSub = reaction(() => toJS(box.get()), (value) => {
+    if (isCurrentlyUpdating('value', updatingFromVue) || isReadonly(source)) return;
+    guardAgainstEchoLoop('value', updatingFromMobx, () => {
+      source.value = value;
+    });
+  });
+
+  return { target: box, subscriptions: [stopWatch, reactionSub] };
+}
+
+/**
+ * Keeps a MobX observable object and a Vue reactive object in sync, key by key.
+ */
+function bridgeVueReactive(source) {
+  const isBridgedKey = (key) =>
+    !key.startsWith('$') && !key.startsWith('_') && typeof source[key] !== 'function';
+
+  const readVueState = () => Object.keys(source)
+    .filter(isBridgedKey)
+    .reduce((state, key) => {
+      state[key] = copyFromVue(source[key]);
+      return state;
+    }, {});
+
+  const target = observable(readVueState());
+  const updatingFromVue = new Set();
+  const updatingFromMobx = new Set();
+
+  // Writes only the keys that differ, so the other side only triggers for those
+  const assignChangedKeys = (destination, next, readCurrent) => {
+    Object.keys(next).forEach(key => {
+      if (!isEqual(readCurrent(destination[key]), next[key])) destination[key] = next[key];
+    });
+    Object.keys(destination)
+      .filter(key => isBridgedKey(key) && !(key in next))
+      .forEach(key => delete destination[key]);
+  };
+
+  const stopWatch = watch(source, () => {
+    if (isCurrentlyUpdating('state', updatingFromMobx)) return;
+    guardAgainstEchoLoop('state', updatingFromVue, () => {
+      runVueAction('vue:sync state', () => assignChangedKeys(target, readVueState(), toJS));
+    });
+  }, { deep: true, flush: 'sync' });
+
+  const reactionSub = reaction(() => toJS(target), (state) => {
+    if (isCurrentlyUpdating('state', updatingFromVue) || isReadonly(source)) return;
+    guardAgainstEchoLoop('state', updatingFromMobx, () => {
+      assignChangedKeys(source, state, toRaw);
+    });
+  });
+
+  return { target, subscriptions: [stopWatch, reactionSub] };
+}
+
+// ============================================================================
+// APP PLUGIN
+// ============================================================================
+
+/**
+ * Injection key of the store registry provided by MobxBridgePlugin.
+ */
+const STORE_REGISTRY_KEY = Symbol('mobx-vue-bridge:stores');
+
+/**
+ * Vue plugin providing a per-app registry of MobX stores.
+ * 
+ * Stores are constructed the first time a component asks for them and bridged once per
+ * app, so all components share the same bridged state and MobX subscriptions. Every app
+ * (e.g. every server-rendered request) gets its own store instances. The bridges are
+ * disposed on `app.unmount()`.
+ * 
+ * @example
+ * ```javascript
+ * app.use(MobxBridgePlugin, {
+ *   stores: { cart: () => new CartStore(api), session: SessionStore },
+ *   bridgeOptions: { flush: 'batched' },
+ * })
+ * ```
+ */
+export const MobxBridgePlugin = {
+  /**
+   * @param {object} app - The Vue app
+   * @param {object} pluginOptions
+   * @param {object} pluginOptions.stores - Store name → store class or factory function
+   * @param {object} pluginOptions.bridgeOptions - useMobxBridge options used for every store
+   */
+  install(app, { stores = {}, bridgeOptions = {} } = {}) {
+    const registry = createStoreRegistry(stores, (store) => createMobxBridge(store, bridgeOptions));
+    app.provide(STORE_REGISTRY_KEY, registry);
+
+    onAppUnmount(app, registry.dispose);
+  },
+};
+
+/**
+ * Reads the registry provided by MobxBridgePlugin for the current app.
+ */
+function injectStoreRegistry(caller) {
+  const registry = inject(STORE_REGISTRY_KEY, null);
+  if (!registry) {
+    throw new Error(`${caller} requires MobxBridgePlugin to be installed with app.use()`);
+  }
+  return registry;
+}
+
+/**
+ * Returns the bridged state of a store registered with MobxBridgePlugin.
+ * Must be called in `setup()` (or `app.runWithContext()`).
+ * 
+ * @param {string} name - Name the store was registered under
+ * @returns {object} The bridged state shared by the whole app
+ * 
+ * @example
+ * ```javascript
+ * const cart = useStore('cart')
+ * cart.addItem(product)
+ * ```
+ */
+export function useStore(name) {
+  return injectStoreRegistry('useStore').resolveByName(name).state;
+}
+
+/**
+ * Returns the bridged state of the app's instance of a store class.
+ * Uses the store registered with that class, or constructs one with `new StoreClass()`.
+ * Must be called in `setup()` (or `app.runWithContext()`).
+ * 
+ * @param {function} StoreClass - The store class
+ * @returns {object} The bridged state shared by the whole app
+ * 
+ * @example
+ * ```javascript
+ * const cart = injectBridge(CartStore)
+ * ```
+ */
+export function injectBridge(StoreClass) {
+  if (typeof StoreClass !== 'function') {
+    throw new Error('injectBridge requires a store class');
+  }
+  return injectStoreRegistry('injectBridge').resolveByType(StoreClass).state;
+}
+
+// ============================================================================
+// DEVTOOLS
+// ============================================================================
+
+/**
+ * Vue plugin adding a "MobX Bridges" inspector and a "MobX Bridge" timeline layer to
+ * Vue Devtools.
+ * 
+ * The inspector lists every active bridge with its properties, getters, setters and
+ * methods (and setters found to be read-only on first write). The timeline records each
+ * MobX → Vue and Vue → MobX sync with the property path, old and new value, and the
+ * MobX action that caused it. Does nothing in production builds.
+ * 
+ * @example
+ * ```javascript
+ * app.use(MobxBridgeDevtools)
+ * ```
+ */
+export const MobxBridgeDevtools = {
+  install(app) {
+    if (!isDevelopmentMode()) return;
+    setupBridgeDevtools(app);
+  },
+};
+
+// ============================================================================
+// EVENTS & TRACING
+// ============================================================================
+
+/**
+ * Configures event reporting for every bridge, in development and production builds.
+ * 
+ * `debug: true` traces every bridge event to the console; `onEvent` receives them as
+ * objects (`bridge:created`, `sync:mobx-to-vue`, `sync:vue-to-mobx`, `echo:suppressed`,
+ * `setter:readonly-detected`, `observe:failed`, `dispose`). Per-bridge `debug` / `onEvent`
+ * options work the same for a single bridge. Options left out keep their current value;
+ * pass `onEvent: null` to remove the listener.
+ * 
+ * @param {object} config - `{ debug?: boolean, onEvent?: function | null }`
+ * 
+ * @example
+ * ```javascript
+ * configureBridge({ debug: import.meta.env.DEV })
+ * configureBridge({ onEvent: (event) => telemetry.track(event.type, event) })
+ * ```
+ */
+export function configureBridge(config = {}) {
+  configureBridgeEvents(config);
 }
 
 /**
@@ -0,0 +1,85 @@
+import { effectScope } from 'vue';
+import { defineHiddenProperty } from './helpers.js';
+
+/**
+ * Shared bridges: MobX object → list of `{ options, state, dispose, refs }`.
+ * One entry per distinct set of options; entries are dropped when their last
+ * consumer releases them.
+ */
+const sharedBridges = new WeakMap();
+
+/**
+ * Returns the shared bridge of a MobX object for these options, creating it on first use.
+ *
+ * Every call takes one reference; the bridge is disposed when the last reference is
+ * released. Calling `$dispose()` on the shared state tears it down for all consumers.
+ *
+ * @param {object} mobxObject - The MobX object (or top-level observable value)
+ * @param {object} options - useMobxBridge options; part of the cache key
+ * @param {function} createBridge - `(mobxObject, options) => { state, dispose }`
+ * @returns {{ state: object, release: function }} The shared state and an idempotent release function
+ */
+export function acquireSharedBridge(mobxObject, options, createBridge) {
+  if (!sharedBridges.has(mobxObject)) sharedBridges.set(mobxObject, []);
+  const entries = sharedBridges.get(mobxObject);
+
+  const createEntry = () => {
+    // The bridge belongs to every consumer, not to the scope that happens to create it:
+    // its watchers and computeds live in their own scope, stopped with the entry
+    const bridgeScope = effectScope(true);
+    const bridge = bridgeScope.run(() => createBridge(mobxObject, options));
+    const entry = { options, state: bridge.state, refs: 0 };
+    entry.dispose = () => {
+      const index = entries.indexOf(entry);
+      if (index !== -1) entries.splice(index, 1);
+      bridge.dispose();
+      bridgeScope.stop();
+    };
+    defineHiddenProperty(entry.state, '$dispose', entry.dispose);
+    entries.push(entry);
+    return entry;
+  };
+
+  const entry = entries.find(candidate => areOptionsEqual(candidate.options, options)) ?? createEntry();
+  entry.refs++;
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    entry.refs--;
+    if (entry.refs === 0) entry.dispose();
+  };
+
+  return { state: entry.state, release };
+}
+
+/**
+ * Compares two option objects. Missing and `undefined` options are equal, RegExps are
+ * compared by source and flags, arrays and plain objects by their contents, and
+ * everything else (functions, classes) by identity.
+ */
+function areOptionsEqual(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].every(key => isSameOptionValue(a?.[key], b?.[key]));
+}
+
+function isSameOptionValue(a, b) {
+  if (a === b) return true;
+  if (a instanceof RegExp && b instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isSameOptionValue(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    return areOptionsEqual(a, b);
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
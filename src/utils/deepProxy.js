@@ -1,109 +1,406 @@
+import { toJS, isObservableMap, isObservableSet } from 'mobx';
 import clone from 'clone';
+import { resolvePath } from './patches.js';
+import { isPreservedInstance } from './instances.js';
+import { runVueAction } from './helpers.js';
+import { SILENT_SYNC_REPORTER, now } from './syncEvents.js';
 
 /**
- * Creates a deep proxy for nested objects/arrays to handle mutations at any level.
- * 
- * This enables mutations like `state.items.push(item)` to work correctly by:
- * 1. Intercepting nested property access and wrapping in proxies
- * 2. Batching mutations via queueMicrotask to prevent array corruption
- * 3. Syncing changes back to MobX and triggering Vue reactivity
- * 
- * Key Design Decisions:
- * - Mutations are batched via queueMicrotask to prevent corruption during
- *   array operations like shift(), unshift(), splice() which modify multiple
- *   indices synchronously.
- * - The proxy wraps a CLONE stored in propertyRefs[prop].value
- * - When nested mutations occur, we update the clone in-place, then sync back
- * 
- * @param {object|array} value - The nested value to wrap in a proxy
- * @param {string} prop - The parent property name for error messages and sync
- * @param {function} getRoot - Function that returns the current root value from propertyRef
- * @param {boolean} allowDirectMutation - Whether mutations are allowed
- * @param {Set} updatingFromVue - Guard set to prevent infinite loops
- * @param {object} mobxObject - The MobX object to sync changes back to
- * @param {object} propertyRefs - Vue refs storage for syncing
- * @returns {Proxy} Proxied object/array with reactive mutation handling
+ * Array methods that modify several indices at once. They are applied and replayed
+ * as a single unit instead of as the individual index writes they perform.
  */
-export function createDeepProxy(
-  value, 
-  prop, 
+const ARRAY_MUTATORS = new Set([
+  'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin',
+]);
+
+/**
+ * Map / Set methods that modify the collection. They are forwarded to the MobX
+ * observable map / set as method-call patches.
+ */
+const COLLECTION_MUTATORS = new Set(['set', 'add', 'delete', 'clear']);
+
+/**
+ * Map methods whose object values are wrapped in deep proxies, so writes to values
+ * read from a Map (e.g. in a `v-for`) are synced as well.
+ */
+const MAP_READERS = new Set(['get', 'forEach', 'values', 'entries', Symbol.iterator]);
+
+/**
+ * Creates the shared write context for one bridged property.
+ *
+ * All deep proxies of a property share this context, so nested writes made anywhere
+ * in the tree are recorded as path/operation patches in one queue and replayed onto
+ * the existing MobX observable together.
+ *
+ * @param {object} options
+ * @param {string} options.prop - The bridged property name
+ * @param {function} options.getRoot - Returns the current Vue-side root value of the property
+ * @param {boolean} options.allowDirectMutation - Whether mutations are allowed
+ * @param {Set} options.updatingFromVue - Guard set to prevent infinite loops
+ * @param {object} options.mobxObject - The MobX object to sync changes back to
+ * @param {string} options.nestedSync - 'microtask' (default) batches patches until the
+ *   next microtask, 'sync' applies every write / array method call to MobX immediately
+ * @param {function} options.copy - Copies Vue-side values before they're written to MobX (default: clone)
+ * @param {object} options.syncReporter - Receives a 'sync:vue-to-mobx' event per flush (see createSyncReporter)
+ * @returns {object} Context passed to createDeepProxy
+ */
+export function createDeepProxyContext({
+  prop,
   getRoot,
   allowDirectMutation,
   updatingFromVue,
   mobxObject,
-  propertyRefs
-) {
-  // Don't proxy built-in objects that should remain unchanged
-  if (value instanceof Date || value instanceof RegExp || value instanceof Map || 
-      value instanceof Set || value instanceof WeakMap || value instanceof WeakSet) {
+  nestedSync = 'microtask',
+  copy = clone,
+  syncReporter = SILENT_SYNC_REPORTER,
+}) {
+  let pendingPatches = [];
+  let pendingRoot = null;
+  let needsFullSync = false;
+  let flushScheduled = false;
+  let pendingSince;
+
+  // Replays the recorded patches onto the MobX observable in one action (`vue:patch <prop>`).
+  // Falls back to assigning a clone of the whole root when a patch can't be applied.
+  const flush = () => {
+    flushScheduled = false;
+    const patches = pendingPatches;
+    const fullSync = needsFullSync;
+    const recordedRoot = pendingRoot;
+    const startedAt = pendingSince;
+    pendingSince = undefined;
+    pendingPatches = [];
+    pendingRoot = null;
+    needsFullSync = false;
+
+    // The Vue value was replaced in the meantime (top-level write or MobX update),
+    // so the recorded patches no longer describe the current value.
+    if (recordedRoot !== getRoot()) return;
+
+    const actionName = `vue:patch ${prop}`;
+    const oldValue = syncReporter.active ? toJS(mobxObject[prop]) : undefined;
+    updatingFromVue.add(prop);
+    try {
+      runVueAction(actionName, () => {
+        if (!fullSync) {
+          try {
+            patches.forEach(patch => applyPatchToMobx(mobxObject[prop], patch, copy));
+            return;
+          } catch {
+            // Fall through to a full sync
+          }
+        }
+        mobxObject[prop] = copy(getRoot());
+      });
+    } finally {
+      updatingFromVue.delete(prop);
+    }
+
+    if (syncReporter.active) {
+      syncReporter.report({
+        type: 'sync:vue-to-mobx',
+        property: prop,
+        path: fullSync ? [] : commonPath(patches.map(patch => patch.path)),
+        oldValue,
+        newValue: toJS(mobxObject[prop]),
+        action: actionName,
+        startedAt,
+      });
+    }
+  };
+
+  const record = (patch, target) => {
+    const root = getRoot();
+    if (pendingRoot !== root) {
+      pendingPatches = [];
+      needsFullSync = false;
+      pendingRoot = root;
+    }
+
+    // A proxy obtained before the tree was reordered (e.g. held across a shift()) no
+    // longer sits at its recorded path - sync the whole value instead of patching.
+    if (resolvePath(root, patch.path) !== target) {
+      needsFullSync = true;
+    }
+    if (pendingPatches.length === 0 && syncReporter.active) pendingSince = now();
+    pendingPatches.push(patch);
+
+    if (nestedSync === 'sync') {
+      flush();
+      return;
+    }
+
+    // Batch updates until the current task's mutations are done
+    if (!flushScheduled) {
+      flushScheduled = true;
+      queueMicrotask(flush);
+    }
+  };
+
+  // One proxy per underlying object, so repeated reads return the same proxy until
+  // the value is replaced
+  const proxies = new WeakMap();
+
+  return { prop, allowDirectMutation, record, proxies };
+}
+
+/**
+ * Creates a deep proxy for nested objects/arrays to handle mutations at any level.
+ *
+ * This enables mutations like `state.items.push(item)` to work correctly by:
+ * 1. Intercepting nested property access and wrapping in proxies
+ * 2. Recording each nested write as a path/operation patch
+ * 3. Replaying the patches onto the existing MobX observable in one named action
+ *
+ * Key Design Decisions:
+ * - Array mutators like shift(), splice(), sort() (which modify multiple indices)
+ *   are recorded as one method-call patch and replayed with the same method.
+ * - Patches are flushed via queueMicrotask by default, or right after each write /
+ *   array method call with `nestedSync: 'sync'`.
+ * - The proxy wraps a CLONE stored in propertyRefs[prop].value, which is updated
+ *   in-place (and is Vue-reactive), so only the touched keys trigger in Vue.
+ * - Only the written paths change in MobX: nested observables keep their identity
+ *   and unrelated deep observers aren't re-triggered.
+ * - Proxies are cached per target, so `state.items[0] === state.items[0]`. Each read
+ *   updates the cached proxy's path to where the target was last reached from.
+ *
+ * @param {object|array|Map|Set} value - The nested value to wrap in a proxy
+ * @param {object} context - Shared write context from createDeepProxyContext
+ * @param {Array<string>} path - Path of `value` relative to the property root
+ * @returns {Proxy} Proxied object/array/collection with reactive mutation handling
+ */
+export function createDeepProxy(value, context, path = []) {
+  // Don't proxy built-in objects or preserved class instances that should remain unchanged
+  if (isUnproxiedBuiltIn(value) || isPreservedInstance(value)) {
     return value;
   }
 
-  // If no getRoot provided, use the default which gets from propertyRefs
-  if (!getRoot) {
-    getRoot = () => propertyRefs[prop].value;
+  const cached = context.proxies.get(value);
+  if (cached) {
+    cached.path = path;
+    return cached.proxy;
   }
 
-  // Track pending updates to batch array mutations
-  let updatePending = false;
-  
-  return new Proxy(value, {
+  // The path is kept on the cache entry so a re-read at a new position updates it
+  const entry = { path, proxy: null, mutators: new Map() };
+
+  const handler = isCollection(value)
+    ? createCollectionHandler(context, entry)
+    : createObjectHandler(context, entry);
+  entry.proxy = new Proxy(value, handler);
+  context.proxies.set(value, entry);
+
+  return entry.proxy;
+}
+
+/**
+ * Creates the proxy handler for plain objects and arrays.
+ */
+function createObjectHandler(context, entry) {
+  const callArrayMutator = (target, method, args) => {
+    if (!context.allowDirectMutation) {
+      console.warn(`Direct mutation of '${formatPath(context.prop, entry.path, method)}()' is disabled`);
+      return method === 'sort' || method === 'reverse' ? entry.proxy : undefined;
+    }
+
+    // Runs on the (Vue-reactive) target directly, so the individual index writes
+    // trigger Vue but aren't recorded as separate patches
+    const result = target[method](...args);
+    context.record({ op: 'call', path: entry.path, method, args }, target);
+    return result === target ? entry.proxy : result;
+  };
+
+  return {
     get: (target, key) => {
+      // Multi-index array operations are applied and recorded as one unit
+      if (Array.isArray(target) && ARRAY_MUTATORS.has(key)) {
+        if (!entry.mutators.has(key)) {
+          entry.mutators.set(key, (...args) => callArrayMutator(target, key, args));
+        }
+        return entry.mutators.get(key);
+      }
+
       const result = target[key];
-      // If the result is an object/array, wrap it in a proxy too (but not built-ins)
-      if (result && typeof result === 'object' && 
-          !(result instanceof Date || result instanceof RegExp || result instanceof Map || 
-            result instanceof Set || result instanceof WeakMap || result instanceof WeakSet)) {
-        return createDeepProxy(
-          result, 
-          prop, 
-          getRoot,
-          allowDirectMutation,
-          updatingFromVue,
-          mobxObject,
-          propertyRefs
-        );
+      // If the result is an object/array, wrap it in a proxy too (but not built-ins
+      // or Vue's internal flags like __v_raw)
+      if (result && typeof result === 'object' && !isInternalKey(key)) {
+        return createDeepProxy(result, context, [...entry.path, key]);
       }
       return result;
     },
     set: (target, key, val) => {
       // Check if direct mutation is allowed
-      if (!allowDirectMutation) {
-        console.warn(`Direct mutation of '${prop}.${String(key)}' is disabled`);
+      if (!context.allowDirectMutation) {
+        console.warn(`Direct mutation of '${formatPath(context.prop, entry.path, key)}' is disabled`);
         return true; // Must return true to avoid TypeError in strict mode
       }
-      
+
       // Update the target in-place (this modifies the clone in propertyRefs[prop].value)
       target[key] = val;
-      
-      // Batch updates to avoid corrupting in-progress array operations
-      // like shift(), unshift(), splice() which modify multiple indices synchronously
-      if (!updatePending) {
-        updatePending = true;
-        queueMicrotask(() => {
-          updatePending = false;
-          // The root value has already been modified in-place above (target[key] = val)
-          // Now we need to trigger Vue reactivity and sync to MobX
-          
-          // Clone the root to create a new reference for Vue reactivity
-          // This ensures Vue detects the change
-          const rootValue = getRoot();
-          const cloned = clone(rootValue);
-          
-          // Update the Vue ref to trigger reactivity
-          propertyRefs[prop].value = cloned;
-          
-          // Update MobX immediately with the cloned value
-          updatingFromVue.add(prop);
-          try {
-            mobxObject[prop] = cloned;
-          } finally {
-            updatingFromVue.delete(prop);
-          }
-        });
+      context.record({ op: 'set', path: entry.path, key, value: val }, target);
+      return true;
+    },
+    deleteProperty: (target, key) => {
+      if (!context.allowDirectMutation) {
+        console.warn(`Direct mutation of '${formatPath(context.prop, entry.path, key)}' is disabled`);
+        return true;
       }
-      
+
+      delete target[key];
+      context.record({ op: 'delete', path: entry.path, key }, target);
       return true;
+    },
+  };
+}
+
+/**
+ * Creates the proxy handler for Map and Set values.
+ *
+ * Collection methods and `size` are run against the target itself (Map/Set internals
+ * don't work through a Proxy receiver), so Vue's collection tracking still applies.
+ * Mutations are recorded as method-call patches; object values read from a Map are
+ * wrapped in deep proxies at the path of their key.
+ */
+function createCollectionHandler(context, entry) {
+  const proxyValue = (value, key) => (
+    value && typeof value === 'object' ? createDeepProxy(value, context, [...entry.path, key]) : value
+  );
+
+  const createMethod = (target, method) => {
+    if (COLLECTION_MUTATORS.has(method)) {
+      return (...args) => {
+        if (!context.allowDirectMutation) {
+          console.warn(`Direct mutation of '${formatPath(context.prop, entry.path, method)}()' is disabled`);
+          return method === 'delete' ? false : method === 'clear' ? undefined : entry.proxy;
+        }
+
+        const result = target[method](...args);
+        context.record({ op: 'call', path: entry.path, method, args }, target);
+        return result === target ? entry.proxy : result;
+      };
+    }
+
+    if (target instanceof Map && MAP_READERS.has(method)) {
+      if (method === 'get') {
+        return (key) => proxyValue(target.get(key), key);
+      }
+      if (method === 'forEach') {
+        return (callback, thisArg) => target.forEach((value, key) => {
+          callback.call(thisArg, proxyValue(value, key), key, entry.proxy);
+        });
+      }
+      if (method === 'values') {
+        return function* values() {
+          for (const [key, value] of target.entries()) yield proxyValue(value, key);
+        };
+      }
+      return function* entries() {
+        for (const [key, value] of target.entries()) yield [key, proxyValue(value, key)];
+      };
+    }
+
+    return target[method].bind(target);
+  };
+
+  return {
+    get: (target, key) => {
+      const result = Reflect.get(target, key, target);
+      if (typeof result !== 'function') return result;
+
+      if (!entry.mutators.has(key)) {
+        entry.mutators.set(key, createMethod(target, key));
+      }
+      return entry.mutators.get(key);
+    },
+  };
+}
+
+/**
+ * Applies one recorded Vue-side patch to the MobX observable tree.
+ * Throws when the path no longer exists so the caller can fall back to a full sync.
+ *
+ * @param {object|array} mobxRoot - The MobX value of the bridged property
+ * @param {object} patch - `{ op: 'set' | 'delete', path, key, value }` or `{ op: 'call', path, method, args }`
+ * @param {function} copy - Copies written objects so MobX never shares them with Vue
+ */
+function applyPatchToMobx(mobxRoot, patch, copy) {
+  const container = resolvePath(mobxRoot, patch.path);
+  if (!container || typeof container !== 'object') {
+    throw new Error(`Cannot apply patch at '${patch.path.join('.')}'`);
+  }
+
+  if (patch.op === 'call') {
+    // MobX arrays implement all mutators in place (sort/reverse via replace()),
+    // so existing element observables keep their identity
+    const result = container[patch.method](...patch.args.map(arg => toMobxValue(arg, copy)));
+
+    // Object members of a Set can't be found again by a copied argument
+    if (patch.method === 'delete' && result === false && isCollection(container)) {
+      throw new Error(`Cannot apply delete() at '${patch.path.join('.')}'`);
+    }
+    return;
+  }
+
+  if (patch.op === 'delete') {
+    // Array holes can't exist in MobX arrays; trailing ones are trimmed by the
+    // subsequent length patch
+    if (Array.isArray(container)) {
+      container[patch.key] = undefined;
+    } else {
+      delete container[patch.key];
     }
-  });
+    return;
+  }
+
+  container[patch.key] = toMobxValue(patch.value, copy);
+}
+
+/**
+ * Returns the longest path shared by all given paths.
+ */
+function commonPath(paths) {
+  const [first = [], ...rest] = paths;
+  const length = rest.reduce((shared, path) => {
+    let index = 0;
+    while (index < shared && index < path.length && path[index] === first[index]) index++;
+    return index;
+  }, first.length);
+  return first.slice(0, length).map(String);
+}
+
+/**
+ * Copies objects written on the Vue side so MobX never shares them with Vue.
+ * Functions (e.g. sort comparators) and primitives are passed through.
+ */
+function toMobxValue(value, copy) {
+  return value && typeof value === 'object' ? copy(value) : value;
+}
+
+/**
+ * Checks for built-in objects that are returned as-is instead of being proxied.
+ */
+function isUnproxiedBuiltIn(value) {
+  return value instanceof Date || value instanceof RegExp ||
+         value instanceof WeakMap || value instanceof WeakSet;
+}
+
+/**
+ * Checks for Map and Set values, including MobX observable maps and sets.
+ */
+function isCollection(value) {
+  return value instanceof Map || value instanceof Set || isObservableMap(value) || isObservableSet(value);
+}
+
+/**
+ * Checks for symbols and Vue's internal reactivity flags, which are never part of the data.
+ */
+function isInternalKey(key) {
+  return typeof key === 'symbol' || key.startsWith('__v_');
+}
+
+/**
+ * Formats a nested path for warnings, e.g. `user.profile.name`.
+ */
+function formatPath(prop, path, key) {
+  return [prop, ...path, key].map(String).join('.');
 }
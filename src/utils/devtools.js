@@ -0,0 +1,127 @@
+import { toRaw, isRef } from 'vue';
+import { setupDevtoolsPlugin } from '@vue/devtools-api';
+import { getActiveBridges, onBridgesChanged, onSyncEvent } from './syncEvents.js';
+import { onAppUnmount } from './helpers.js';
+
+const INSPECTOR_ID = 'mobx-vue-bridge';
+const TIMELINE_LAYER_ID = 'mobx-vue-bridge:sync';
+const SYNC_DIRECTIONS = {
+  'sync:mobx-to-vue': 'MobX → Vue',
+  'sync:vue-to-mobx': 'Vue → MobX',
+};
+
+/**
+ * Registers the MobX Bridge inspector and timeline layer with Vue Devtools.
+ *
+ * The inspector lists every active bridge with its members as categorized by
+ * categorizeMobxMembers (and the setters found to be read-only on first write). The
+ * timeline records every MobX → Vue and Vue → MobX sync with its property, path,
+ * old / new value and the MobX action that caused it.
+ *
+ * @param {object} app - The Vue app
+ */
+export function setupBridgeDevtools(app) {
+  setupDevtoolsPlugin({
+    id: 'mobx-vue-bridge',
+    label: 'MobX Bridge',
+    packageName: 'mobx-vue-bridge',
+    homepage: 'https://github.com/visaruruqi/mobx-vue-bridge',
+    app,
+  }, (api) => {
+    api.addInspector({
+      id: INSPECTOR_ID,
+      label: 'MobX Bridges',
+      icon: 'swap_horiz',
+      treeFilterPlaceholder: 'Search bridges',
+    });
+
+    api.addTimelineLayer({
+      id: TIMELINE_LAYER_ID,
+      label: 'MobX Bridge',
+      color: 0xff9955,
+    });
+
+    api.on.getInspectorTree((payload) => {
+      if (payload.app !== app || payload.inspectorId !== INSPECTOR_ID) return;
+      const filter = (payload.filter || '').toLowerCase();
+      payload.rootNodes = getActiveBridges()
+        .filter(bridge => bridge.label.toLowerCase().includes(filter))
+        .map(bridge => ({ id: String(bridge.id), label: `${bridge.label} #${bridge.id}` }));
+    });
+
+    api.on.getInspectorState((payload) => {
+      if (payload.app !== app || payload.inspectorId !== INSPECTOR_ID) return;
+      const bridge = getActiveBridges().find(candidate => String(candidate.id) === payload.nodeId);
+      if (bridge) payload.state = describeBridgeState(bridge);
+    });
+
+    const stopBridges = onBridgesChanged(() => {
+      api.sendInspectorTree(INSPECTOR_ID);
+      api.sendInspectorState(INSPECTOR_ID);
+    });
+
+    const stopEvents = onSyncEvent((event) => {
+      const direction = SYNC_DIRECTIONS[event.type];
+      if (!direction) return;
+      api.addTimelineEvent({
+        layerId: TIMELINE_LAYER_ID,
+        event: {
+          time: api.now(),
+          title: `${direction} ${[event.property, ...event.path].join('.')}`,
+          subtitle: event.action ?? '',
+          data: {
+            bridge: `${event.bridge.label} #${event.bridge.id}`,
+            property: event.property,
+            path: event.path.join('.'),
+            oldValue: event.oldValue,
+            newValue: event.newValue,
+            action: event.action,
+            duration: event.duration,
+          },
+        },
+      });
+      api.sendInspectorState(INSPECTOR_ID);
+    });
+
+    onAppUnmount(app, () => {
+      stopBridges();
+      stopEvents();
+    });
+  });
+}
+
+/**
+ * Builds the inspector state of one bridge: its members grouped by kind.
+ */
+function describeBridgeState(bridge) {
+  if (!bridge.getMembers) {
+    const value = isRef(bridge.state) ? bridge.state.value : bridge.state;
+    return { value: [{ key: 'value', value: toRaw(value), editable: false }] };
+  }
+
+  const members = bridge.getMembers();
+  const readValue = (name) => {
+    try {
+      return toRaw(bridge.state[name]);
+    } catch (error) {
+      return `<threw: ${error.message}>`;
+    }
+  };
+  const describeMember = (name) => ({ key: name, value: readValue(name), editable: false });
+
+  const state = {
+    properties: members.properties.map(describeMember),
+    getters: members.getters.map(describeMember),
+    setters: members.setters.map(name => ({
+      key: name,
+      value: bridge.readOnlyDetected.has(name) ? 'read-only (detected on write)' : 'writable',
+      editable: false,
+    })),
+    methods: members.methods.map(name => ({ key: name, value: `ƒ ${name}()`, editable: false })),
+  };
+
+  if (members.filtered.size > 0) {
+    state.filtered = [...members.filtered].map(([name, reason]) => ({ key: name, value: reason, editable: false }));
+  }
+  return state;
+}
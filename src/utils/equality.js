@@ -1,3 +1,5 @@
+import { isPreservedInstance } from './instances.js';
+
 /**
  * Deep equality comparison with circular reference protection.
  * 
@@ -29,6 +31,9 @@ export function isEqual(a, b, visited = new Map()) {
   
   // For primitives, Object.is should have caught them
   if (typeof a !== 'object') return false;
+
+  // Preserved class instances (preserveInstances option) are opaque value objects
+  if (isPreservedInstance(a) || isPreservedInstance(b)) return false;
   
   // Check for circular references - we need to track PAIRS of (a, b)
   // Using a Map where keys are objects from 'a' and values are objects from 'b'
@@ -46,6 +51,22 @@ export function isEqual(a, b, visited = new Map()) {
   
   // One is array, one is not
   if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  // Maps and Sets keep their entries out of Object.keys
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false;
+    for (const [key, val] of a) {
+      if (!b.has(key) || !isEqual(val, b.get(key), visited)) return false;
+    }
+    return true;
+  }
+  if (a instanceof Set || b instanceof Set) {
+    if (!(a instanceof Set && b instanceof Set) || a.size !== b.size) return false;
+    for (const val of a) {
+      if (!b.has(val)) return false;
+    }
+    return true;
+  }
   
   // Fast object comparison - check keys first
   const aKeys = Object.keys(a);
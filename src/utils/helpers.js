@@ -1,8 +1,22 @@
-import { ref } from 'vue';
-import { toJS, observe, reaction } from 'mobx';
+import { ref, shallowRef, customRef, reactive, computed, watch, toRaw, getCurrentScope, onScopeDispose, getCurrentInstance, onUpdated, onUnmounted } from 'vue';
+import {
+  toJS,
+  observe,
+  intercept,
+  reaction,
+  Reaction,
+  observable,
+  runInAction,
+  action,
+  computed as mobxComputed,
+  isObservableSet,
+  isObservableObject,
+} from 'mobx';
 import { deepObserve } from 'mobx-utils';
 import clone from 'clone';
 import { isEqual } from './equality.js';
+import { splitPath, resolvePath, applyMobxChange, snapshotMobxChange } from './patches.js';
+import { SILENT_SYNC_REPORTER, currentActionName, describeMobxChange, now } from './syncEvents.js';
 
 /**
  * Declarative helper functions for the MobX-Vue bridge.
@@ -16,19 +30,31 @@ import { isEqual } from './equality.js';
 /**
  * Safely reads the initial value of a property, returning undefined if it throws.
  */
-export const safelyReadInitialValue = (object, propertyName) => {
+export const safelyReadInitialValue = (object, propertyName, snapshot = toJS) => {
   try {
-    return toJS(object[propertyName]);
+    return snapshot(object[propertyName]);
   } catch {
     return undefined;
   }
 };
 
+/**
+ * Copies a value read from Vue (possibly a reactive proxy) into a plain value
+ * MobX can make observable.
+ */
+export const copyFromVue = (value) => clone(toRaw(value));
+
 /**
  * Creates a Vue reactive reference with an initial value.
  */
 export const createReactiveRef = (initialValue) => ref(initialValue);
 
+/**
+ * Creates a Vue reference that holds its value as-is (used for sub-bridge states,
+ * which are reactive already).
+ */
+export const createShallowRef = (initialValue) => shallowRef(initialValue);
+
 // ============================================================================
 // PROPERTY TYPE CATEGORIZATION
 // ============================================================================
@@ -51,6 +77,70 @@ export const findGettersOnly = (getters, setters) =>
 export const findSettersOnly = (setters, getters) => 
   setters.filter(prop => !getters.includes(prop));
 
+/**
+ * Checks whether a value is a nested MobX store: an observable class instance
+ * (made observable with makeObservable / makeAutoObservable), as opposed to a plain
+ * observable object or array.
+ */
+export const isMobxStore = (value) => {
+  if (!isObservableObject(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto !== null && proto !== Object.prototype;
+};
+
+/**
+ * Resolves the `nestedStores` option for one property: 'live' or 'snapshot'.
+ * Accepts a mode string or an object mapping property names to modes (default 'live').
+ */
+export const resolveNestedStoreMode = (option, propertyName) => {
+  const mode = option && typeof option === 'object' ? option[propertyName] : option;
+  if (mode === undefined || mode === 'live' || mode === 'snapshot') {
+    return mode ?? 'live';
+  }
+  throw new Error("useMobxBridge option 'nestedStores' must be 'live', 'snapshot' or an object mapping property names to those");
+};
+
+/**
+ * Validates the `nestedSync` option and returns the mode (default 'microtask').
+ */
+export const resolveNestedSyncMode = (option) => {
+  const mode = option ?? 'microtask';
+  if (mode !== 'microtask' && mode !== 'sync') {
+    throw new Error("useMobxBridge option 'nestedSync' must be 'microtask' or 'sync'");
+  }
+  return mode;
+};
+
+// ============================================================================
+// MOBX ACTIONS
+// ============================================================================
+
+/**
+ * Runs a Vue-originated write to MobX inside a named action (e.g. `vue:set items`),
+ * so it is allowed with `enforceActions: 'always'` and MobX spy / devtools show
+ * where the change came from.
+ *
+ * @param {string} actionName - Name of the action
+ * @param {function} write - Performs the write
+ * @returns {any} Whatever `write` returns
+ */
+export const runVueAction = (actionName, write) => action(actionName, write)();
+
+/**
+ * Reports a Vue → MobX property write made by one of the setters below.
+ */
+const reportVueWrite = (syncReporter, propertyName, oldValue, newValue, startedAt) => {
+  syncReporter.report({
+    type: 'sync:vue-to-mobx',
+    property: propertyName,
+    path: [],
+    oldValue: copyFromVue(oldValue),
+    newValue: copyFromVue(newValue),
+    action: `vue:set ${propertyName}`,
+    startedAt,
+  });
+};
+
 // ============================================================================
 // ECHO LOOP PREVENTION
 // ============================================================================
@@ -120,6 +210,35 @@ export const defineReactiveProperty = (vueState, propertyName, descriptor) => {
   });
 };
 
+/**
+ * Makes a property defined after creation visible to Vue's key tracking.
+ * 
+ * Defining an accessor doesn't go through the reactive proxy, so effects iterating the
+ * state (`Object.keys(state)`, `v-for`) wouldn't re-run. The property is briefly set
+ * through the proxy (a Vue "add"), then the accessor is restored. The placeholder is a
+ * computed of the accessor, so effects that run during the add track what it reads.
+ */
+export const announceAddedProperty = (vueState, propertyName) => {
+  const rawState = toRaw(vueState);
+  const descriptor = Object.getOwnPropertyDescriptor(rawState, propertyName);
+  delete rawState[propertyName];
+  vueState[propertyName] = computed(descriptor.get);
+  Object.defineProperty(rawState, propertyName, descriptor);
+};
+
+/**
+ * Defines a non-enumerable, read-only property (e.g. `$dispose`) on the Vue state object.
+ * Hidden properties don't show up in Object.keys() or v-for over the state.
+ */
+export const defineHiddenProperty = (vueState, propertyName, value) => {
+  Object.defineProperty(vueState, propertyName, {
+    value,
+    enumerable: false,
+    configurable: true,
+    writable: false,
+  });
+};
+
 // ============================================================================
 // MUTATION WARNINGS
 // ============================================================================
@@ -138,6 +257,39 @@ export const logSetterWarning = (propertyName, error) => {
   console.warn(`Failed to set property '${propertyName}':`, error);
 };
 
+/**
+ * Checks whether the bridge runs in a development build.
+ * Bundlers replace `process.env.NODE_ENV`; without it we assume production.
+ */
+export const isDevelopmentMode = () => {
+  try {
+    return process.env.NODE_ENV !== 'production';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Creates a prototype for the Vue state object that warns (once per member) when code
+ * reads a member the bridge filtered out, instead of silently returning undefined.
+ * Reads of bridged members are own properties and never reach the prototype.
+ */
+export const createFilteredMemberWarner = (filteredMembers) => {
+  const warned = new Set();
+
+  return new Proxy({}, {
+    get: (target, key, receiver) => {
+      if (filteredMembers.has(key) && !warned.has(key)) {
+        warned.add(key);
+        console.warn(
+          `[mobx-vue-bridge] '${key}' is not bridged: it was filtered out by the '${filteredMembers.get(key)}' option.`
+        );
+      }
+      return Reflect.get(target, key, receiver);
+    },
+  });
+};
+
 // ============================================================================
 // SETTER CREATION
 // ============================================================================
@@ -152,6 +304,7 @@ export const createLazyValidatedSetter = ({
   allowDirectMutation,
   readOnlySet,
   guardSet,
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
   if (!allowDirectMutation) {
     return () => warnDirectMutation(propertyName);
@@ -166,10 +319,16 @@ export const createLazyValidatedSetter = ({
     // Attempt write with guard against echo loops
     guardAgainstEchoLoop(propertyName, guardSet, () => {
       try {
-        target[propertyName] = value;
+        const oldValue = syncReporter.active ? safelyReadInitialValue(target, propertyName) : undefined;
+        const startedAt = syncReporter.active ? now() : undefined;
+        runVueAction(`vue:set ${propertyName}`, () => {
+          target[propertyName] = value;
+        });
+        if (syncReporter.active) reportVueWrite(syncReporter, propertyName, oldValue, value, startedAt);
       } catch (error) {
         if (isMobxReadOnlyError(error)) {
           markAsReadOnly(propertyName, readOnlySet);
+          if (syncReporter.active) syncReporter.report({ type: 'setter:readonly-detected', property: propertyName });
           throwReadOnlyError(propertyName);
         } else {
           logSetterWarning(propertyName, error);
@@ -197,16 +356,22 @@ export const createWriteOnlySetter = ({
   allowDirectMutation,
   guardSet,
   setterRef,
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
   if (!allowDirectMutation) {
     return () => warnDirectMutation(propertyName);
   }
   
   return (value) => {
+    const oldValue = setterRef.value;
+    const startedAt = syncReporter.active ? now() : undefined;
     setterRef.value = value;
     guardAgainstEchoLoop(propertyName, guardSet, () => {
-      target[propertyName] = value;
+      runVueAction(`vue:set ${propertyName}`, () => {
+        target[propertyName] = value;
+      });
     });
+    if (syncReporter.active) reportVueWrite(syncReporter, propertyName, oldValue, value, startedAt);
   };
 };
 
@@ -223,6 +388,8 @@ export const createTwoWayBindingSetter = ({
   allowDirectMutation,
   guardSet,
   propertyRef,
+  copy = clone,
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
   if (!allowDirectMutation) {
     return () => warnDirectMutation(propertyName);
@@ -230,16 +397,181 @@ export const createTwoWayBindingSetter = ({
 
   return (value) => {
     if (!isEqual(propertyRef.value, value)) {
-      const cloned = clone(value);
+      const oldValue = toRaw(propertyRef.value);
+      const startedAt = syncReporter.active ? now() : undefined;
+      const cloned = copy(value);
       propertyRef.value = cloned;
       
       guardAgainstEchoLoop(propertyName, guardSet, () => {
-        target[propertyName] = cloned;
+        runVueAction(`vue:set ${propertyName}`, () => {
+          target[propertyName] = cloned;
+        });
       });
+      if (syncReporter.active) reportVueWrite(syncReporter, propertyName, oldValue, cloned, startedAt);
     }
   };
 };
 
+// ============================================================================
+// MOBX → VUE SCHEDULING
+// ============================================================================
+
+/**
+ * Default schedule for MobX → Vue updates: apply them right away.
+ */
+export const applyImmediately = (update) => update();
+
+/**
+ * Creates how a bridge applies MobX → Vue updates, per the `flush` option:
+ * 
+ * - 'sync': applied immediately, in the MobX observe callback / reaction (default)
+ * - 'batched': queued and applied together when the outermost MobX action or
+ *   transaction ends
+ * - 'pre': queued and applied in Vue's pre-flush, before components re-render
+ * 
+ * Queued updates are applied in two passes: first the values of bridged refs (with
+ * their triggers held back until the end), then nested patches. Effects triggered
+ * while applying therefore already read the new value of every ref. A full sync of a
+ * ref reads the current MobX value, which contains every queued change, so queued
+ * patches of that ref are skipped.
+ * 
+ * `schedule(update, { ref, kind })` takes the Vue ref the update writes to and its kind:
+ * 'fullSync' (re-reads the MobX value), 'patch' (nested change) or none. A full sync of
+ * a ref that is already queued is dropped.
+ * `createRef(value)` creates refs whose triggers are held back while applying.
+ * 
+ * With 'batched', `anticipate(update, meta)` queues an update without requesting an apply:
+ * a write made outside of any action runs the reactions (bridged getters) before its
+ * observe listeners, so properties queue their resync ahead of the write (from an
+ * interceptor) to be applied together with the getters it changes.
+ * 
+ * Returns `{ schedule, anticipate, createRef, dispose }`.
+ */
+export const createMobxToVueScheduler = (flush) => {
+  const mode = flush ?? 'sync';
+  if (mode === 'sync') {
+    return { schedule: applyImmediately, createRef: createReactiveRef, dispose: () => {} };
+  }
+  if (mode !== 'batched' && mode !== 'pre') {
+    throw new Error("useMobxBridge option 'flush' must be 'sync', 'batched' or 'pre'");
+  }
+
+  const queue = [];
+  const queuedFullSyncs = new Set();
+  const heldTriggers = new Set();
+  let applying = false;
+  let applyRequested = false;
+
+  const createRef = (initialValue) => customRef((track, trigger) => {
+    let rawValue = toRaw(initialValue);
+    let value = toReactiveValue(initialValue);
+    return {
+      get: () => {
+        track();
+        return value;
+      },
+      set: (nextValue) => {
+        if (Object.is(toRaw(nextValue), rawValue)) return;
+        rawValue = toRaw(nextValue);
+        value = toReactiveValue(nextValue);
+        if (applying) {
+          heldTriggers.add(trigger);
+        } else {
+          trigger();
+        }
+      },
+    };
+  });
+
+  const applyQueued = () => {
+    applyRequested = false;
+    if (applying) return;
+    applying = true;
+    const fullySynced = new Set();
+    try {
+      // Updates scheduled while applying (e.g. a fallback resync) get another round
+      while (queue.length > 0) {
+        const updates = queue.splice(0);
+        queuedFullSyncs.clear();
+        updates.forEach(({ update, ref, kind }) => {
+          if (kind === 'patch') return;
+          update();
+          if (kind === 'fullSync') fullySynced.add(ref);
+        });
+        updates.forEach(({ update, ref, kind }) => {
+          if (kind === 'patch' && !fullySynced.has(ref)) update();
+        });
+      }
+    } finally {
+      queue.length = 0;
+      queuedFullSyncs.clear();
+      applying = false;
+    }
+
+    const triggers = [...heldTriggers];
+    heldTriggers.clear();
+    triggers.forEach(trigger => trigger());
+  };
+
+  let requestApply;
+  let stop;
+  if (mode === 'batched') {
+    // Reactions run once the outermost batch ends, so bumping an observable the
+    // reaction tracks defers applying until then. The first run bumps once more, so the
+    // other reactions of the batch (bridged getters) queue their updates first.
+    const pendingUpdates = observable.box(0);
+    const bumpPendingUpdates = () => runInAction(() => pendingUpdates.set(pendingUpdates.get() + 1));
+    let yielded = false;
+    stop = reaction(() => pendingUpdates.get(), () => {
+      if (!yielded) {
+        yielded = true;
+        bumpPendingUpdates();
+        return;
+      }
+      yielded = false;
+      applyQueued();
+    });
+    requestApply = bumpPendingUpdates;
+  } else {
+    const scheduler = createFlushScheduler('pre');
+    stop = scheduler.stop;
+    requestApply = () => scheduler.schedule(applyQueued);
+  }
+
+  let disposed = false;
+  const enqueue = (update, { ref, kind } = {}) => {
+    if (disposed) return;
+    // A full sync reads the MobX value current when applied, so one per ref is enough
+    if (kind === 'fullSync') {
+      if (queuedFullSyncs.has(ref)) return;
+      queuedFullSyncs.add(ref);
+    }
+    queue.push({ update, ref, kind });
+  };
+
+  const schedule = (update, meta) => {
+    enqueue(update, meta);
+    if (disposed || applying || applyRequested) return;
+    applyRequested = true;
+    requestApply();
+  };
+
+  const dispose = () => {
+    disposed = true;
+    queue.length = 0;
+    queuedFullSyncs.clear();
+    stop();
+  };
+
+  return { schedule, anticipate: mode === 'batched' ? enqueue : undefined, createRef, dispose };
+};
+
+/**
+ * Makes objects deeply reactive, like `ref()` does for its value.
+ */
+const toReactiveValue = (value) =>
+  value !== null && typeof value === 'object' ? reactive(value) : value;
+
 // ============================================================================
 // MOBX OBSERVATION HELPERS
 // ============================================================================
@@ -253,26 +585,130 @@ export const createMobxToVueUpdater = ({
   refToUpdate,
   echoGuard,
   updateGuard,
+  snapshot = toJS,
+  schedule = applyImmediately,
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
-  return () => {
-    if (!refToUpdate) return;
-    if (echoGuard.has(propertyName)) return; // Prevent echo loops
-    
+  const update = (actionName, startedAt) => {
     updateGuard.add(propertyName);
     try {
-      const nextValue = toJS(target[propertyName]);
-      if (!isEqual(refToUpdate.value, nextValue)) {
+      const nextValue = snapshot(target[propertyName]);
+      const previousValue = toRaw(refToUpdate.value);
+      if (!isEqual(previousValue, nextValue)) {
         refToUpdate.value = nextValue;
+        if (syncReporter.active) {
+          syncReporter.report({
+            type: 'sync:mobx-to-vue',
+            property: propertyName,
+            path: [],
+            oldValue: previousValue,
+            newValue: nextValue,
+            action: actionName,
+            startedAt,
+          });
+        }
       }
     } finally {
       updateGuard.delete(propertyName);
     }
   };
+
+  return () => {
+    if (!refToUpdate) return;
+    if (echoGuard.has(propertyName)) { // Prevent echo loops
+      if (syncReporter.active) syncReporter.report({ type: 'echo:suppressed', property: propertyName, path: [] });
+      return;
+    }
+    // Reads the MobX value current when the update is applied, but the action that
+    // caused it is only known now
+    const actionName = syncReporter.active ? currentActionName() : undefined;
+    const startedAt = syncReporter.active ? now() : undefined;
+    schedule(() => update(actionName, startedAt), { ref: refToUpdate, kind: 'fullSync' });
+  };
+};
+
+/**
+ * Creates a MobX → Vue handler for deepObserve events.
+ * 
+ * Instead of re-cloning and re-comparing the whole value on every nested change, the
+ * change is applied at the reported path of the Vue-side value. Falls back to a full
+ * resync when the path can't be resolved unambiguously (e.g. keys containing '/').
+ * The new values are copied when the change happens, so scheduled patches replay the
+ * changes in order even when the MobX value has moved on since.
+ */
+export const createMobxToVuePatcher = ({
+  propertyName,
+  target,
+  refToUpdate,
+  echoGuard,
+  updateGuard,
+  snapshot = toJS,
+  schedule = applyImmediately,
+  syncReporter = SILENT_SYNC_REPORTER,
+}) => {
+  const resync = createMobxToVueUpdater({
+    propertyName,
+    target,
+    refToUpdate,
+    echoGuard,
+    updateGuard,
+    snapshot,
+    schedule,
+    syncReporter,
+  });
+
+  return (change, path) => {
+    if (!refToUpdate) return;
+
+    const segments = splitPath(path);
+    if (echoGuard.has(propertyName)) { // Prevent echo loops
+      if (syncReporter.active) syncReporter.report({ type: 'echo:suppressed', property: propertyName, path: segments });
+      return;
+    }
+
+    // Only patch when the path really leads to the observable that changed
+    if (resolvePath(target[propertyName], segments) !== change.object) {
+      resync();
+      return;
+    }
+
+    const copiedChange = snapshotMobxChange(change, snapshot);
+    const syncEvent = syncReporter.active
+      ? {
+        type: 'sync:mobx-to-vue',
+        property: propertyName,
+        ...describeMobxChange(change, segments),
+        action: currentActionName(),
+        startedAt: now(),
+      }
+      : null;
+    schedule(() => {
+      let patched = false;
+      updateGuard.add(propertyName);
+      try {
+        patched = applyMobxChange(resolvePath(refToUpdate.value, segments), copiedChange, value => value);
+      } catch {
+        patched = false;
+      } finally {
+        updateGuard.delete(propertyName);
+      }
+
+      if (!patched) {
+        resync();
+      } else if (syncEvent) {
+        syncReporter.report(syncEvent);
+      }
+    }, { ref: refToUpdate, kind: 'patch' });
+  };
 };
 
 /**
  * Observes a single MobX property and syncs changes to Vue.
  * When the property value changes, it also re-subscribes deepObserve to the new value.
+ * `handOff(newValue)` may return true to take a new value over instead (e.g. to bridge
+ * it as a nested store); the change is then not synced. With an `anticipate` schedule
+ * (flush: 'batched') the update is also queued ahead of each write, see
+ * createMobxToVueScheduler.
  */
 export const observeProperty = ({
   target,
@@ -281,23 +717,42 @@ export const observeProperty = ({
   echoGuard,
   updateGuard,
   onValueChanged, // Optional callback when value changes (for re-subscribing deepObserve)
+  handOff, // Optional: returns true when the caller takes over the new value
+  snapshot = toJS,
+  schedule = applyImmediately,
+  anticipate, // Optional: queues an update without applying it (see createMobxToVueScheduler)
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
   try {
-    const updater = createMobxToVueUpdater({
-      propertyName,
-      target,
-      refToUpdate,
-      echoGuard,
-      updateGuard,
+    const updaterOptions = { propertyName, target, refToUpdate, echoGuard, updateGuard, snapshot, syncReporter };
+    const updater = createMobxToVueUpdater({ ...updaterOptions, schedule });
+
+    // Skipped when the property stopped being observed (e.g. handed off) before applying
+    let observing = true;
+    const anticipateUpdate = anticipate && createMobxToVueUpdater({
+      ...updaterOptions,
+      schedule: (update, meta) => anticipate(() => observing && update(), meta),
+    });
+    const interceptSub = anticipate && intercept(target, propertyName, (change) => {
+      if (!echoGuard.has(propertyName)) anticipateUpdate();
+      return change;
     });
 
-    return observe(target, propertyName, (change) => {
+    const observeSub = observe(target, propertyName, (change) => {
+      if (handOff && change.type === 'update' && handOff(change.newValue)) return;
       updater();
       // Notify that the value changed so deepObserve can be re-subscribed
       if (onValueChanged && change.type === 'update') {
         onValueChanged(change.newValue);
       }
     });
+
+    if (!interceptSub) return observeSub;
+    return () => {
+      observing = false;
+      observeSub();
+      interceptSub();
+    };
   } catch (error) {
     // Only silently ignore expected MobX errors for non-observable properties
     // These errors indicate the property isn't observable, which is expected for some properties
@@ -306,13 +761,33 @@ export const observeProperty = ({
                             error.message?.includes('[MobX]');
     if (!isExpectedError) {
       console.warn(`[mobx-vue-bridge] Unexpected error observing '${propertyName}':`, error);
+      if (syncReporter.active) syncReporter.report({ type: 'observe:failed', property: propertyName, error });
     }
     return null;
   }
 };
 
+/**
+ * Observes members being added to or removed from a MobX object after creation
+ * (extendObservable, set()/remove() on observable objects, delete on observable proxies).
+ * Returns null for objects without a MobX administration.
+ */
+export const observeMemberChanges = ({ target, onAdd, onRemove }) => {
+  try {
+    return observe(target, (change) => {
+      if (typeof change.name !== 'string') return;
+      if (change.type === 'add') onAdd(change.name);
+      if (change.type === 'remove') onRemove(change.name);
+    });
+  } catch {
+    // Not an observable object - its members can't change observably
+    return null;
+  }
+};
+
 /**
  * Deep observes nested objects/arrays and syncs changes to Vue.
+ * Each nested change is patched into the Vue value at its path (see createMobxToVuePatcher).
  */
 export const deepObserveProperty = ({
   target,
@@ -320,6 +795,9 @@ export const deepObserveProperty = ({
   refToUpdate,
   echoGuard,
   updateGuard,
+  snapshot = toJS,
+  schedule = applyImmediately,
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
   const value = target[propertyName];
   
@@ -329,17 +807,23 @@ export const deepObserveProperty = ({
   }
 
   try {
-    const updater = createMobxToVueUpdater({
+    const patcher = createMobxToVuePatcher({
       propertyName,
       target,
       refToUpdate,
       echoGuard,
       updateGuard,
+      snapshot,
+      schedule,
+      syncReporter,
     });
 
-    return deepObserve(value, (change, path) => {
-      updater();
-    });
+    // deepObserve doesn't descend into sets, so observe them directly
+    if (isObservableSet(value)) {
+      return observe(value, (change) => patcher(change, ''));
+    }
+
+    return deepObserve(value, patcher);
   } catch (error) {
     // Only silently ignore expected errors (circular references, non-observable objects)
     const isExpectedError = error.message?.includes('circular') || 
@@ -347,6 +831,7 @@ export const deepObserveProperty = ({
                             error.message?.includes('[MobX]');
     if (!isExpectedError) {
       console.warn(`[mobx-vue-bridge] Unexpected error deep-observing '${propertyName}':`, error);
+      if (syncReporter.active) syncReporter.report({ type: 'observe:failed', property: propertyName, error });
     }
     return null;
   }
@@ -359,10 +844,13 @@ export const observeGetter = ({
   target,
   propertyName,
   refToUpdate,
+  snapshot = toJS,
+  schedule = applyImmediately,
+  syncReporter = SILENT_SYNC_REPORTER,
 }) => {
   const safelyReadGetter = () => {
     try {
-      return toJS(target[propertyName]);
+      return snapshot(target[propertyName]);
     } catch (error) {
       // If computed property throws (e.g., accessing null.property), return undefined
       return undefined;
@@ -371,12 +859,171 @@ export const observeGetter = ({
 
   const updateRefWhenChanged = (nextValue) => {
     if (!refToUpdate) return;
-    if (!isEqual(refToUpdate.value, nextValue)) {
+    const actionName = syncReporter.active ? currentActionName() : undefined;
+    const startedAt = syncReporter.active ? now() : undefined;
+    schedule(() => {
+      const previousValue = toRaw(refToUpdate.value);
+      if (!isEqual(previousValue, nextValue)) {
+        refToUpdate.value = nextValue;
+        if (syncReporter.active) {
+          syncReporter.report({
+            type: 'sync:mobx-to-vue',
+            property: propertyName,
+            path: [],
+            oldValue: previousValue,
+            newValue: nextValue,
+            action: actionName,
+            startedAt,
+          });
+        }
+      }
+    });
+  };
+
+  return reaction(safelyReadGetter, updateRefWhenChanged);
+};
+
+/**
+ * Creates a reactive subscription to an ad-hoc MobX expression, evaluated as a MobX
+ * computed. With a custom `equals` comparer the ref updates whenever the computed reports
+ * a change; otherwise structurally equal results are skipped, like observeGetter.
+ * 
+ * An expression that throws sets the ref to undefined and is reported to `onError`.
+ */
+export const observeExpression = ({
+  expression,
+  refToUpdate,
+  equals,
+  onError,
+  snapshot = toJS,
+}) => {
+  const derived = mobxComputed(expression, equals ? { equals } : undefined);
+
+  const safelyReadExpression = () => {
+    try {
+      return snapshot(derived.get());
+    } catch (error) {
+      onError(error);
+      return undefined;
+    }
+  };
+
+  const updateRefWhenChanged = (nextValue) => {
+    if (equals || !isEqual(refToUpdate.value, nextValue)) {
       refToUpdate.value = nextValue;
     }
   };
 
-  return reaction(safelyReadGetter, updateRefWhenChanged);
+  return reaction(safelyReadExpression, updateRefWhenChanged, { fireImmediately: true });
+};
+
+/**
+ * Whether any Vue effect currently depends on a ref. This reads Vue internals: 3.5+
+ * links the tracking subscribers in `dep.subs`, 3.2–3.4 keep the effects in a Set / Map
+ * created on first track. Returns undefined when the ref has neither shape, so callers
+ * can stay subscribed rather than guess.
+ */
+const hasVueSubscribers = (vueRef) => {
+  if (!('dep' in vueRef)) return undefined;
+  const { dep } = vueRef;
+  if (dep === undefined) return false;
+  if (dep && 'subs' in dep) return dep.subs !== undefined;
+  if (dep && typeof dep.size === 'number') return dep.size > 0;
+  return undefined;
+};
+
+/**
+ * Subscribes to a MobX computed property (getter) only while Vue effects read it.
+ * 
+ * The reaction is created the first time a Vue effect (component render, watcher or
+ * computed) reads the value, and disposed once no effect depends on it anymore, so
+ * computeds no mounted view uses are neither evaluated nor kept alive. Reads outside of
+ * an effect evaluate the getter directly without subscribing.
+ * 
+ * Returns `{ read, dispose }`.
+ */
+export const observeGetterOnDemand = ({
+  target,
+  propertyName,
+  refToUpdate,
+  snapshot = toJS,
+  schedule = applyImmediately,
+  syncReporter = SILENT_SYNC_REPORTER,
+}) => {
+  const watchedOwners = new WeakSet();
+  let subscription = null;
+  let disposed = false;
+
+  // Every effect that reads the getter also tracks this ref, so its dep lists the
+  // readers. `track` returns the link in Vue 3.5+, which also reveals reads from a
+  // computed that has no subscribers of its own (and so isn't listed in the dep).
+  let trackReader = () => undefined;
+  const readers = customRef((track) => {
+    trackReader = track;
+    return { get: () => undefined, set: () => {} };
+  });
+
+  const unsubscribe = () => {
+    safelyDisposeSubscription(subscription);
+    subscription = null;
+  };
+
+  const releaseIfUnread = () => {
+    if (subscription && hasVueSubscribers(readers) === false) unsubscribe();
+  };
+
+  // An update has already marked every reader dirty, so once it is applied a getter
+  // nothing depends on anymore (a standalone computed, a watcher stopped outside of a
+  // scope) can be released: the next read resubscribes with a fresh value.
+  const scheduleThenRelease = (update, ...rest) => schedule(() => {
+    update();
+    releaseIfUnread();
+  }, ...rest);
+
+  const subscribe = () => {
+    // The ref may be stale from an earlier subscription period
+    const currentValue = safelyReadInitialValue(target, propertyName, snapshot);
+    if (!isEqual(refToUpdate.value, currentValue)) {
+      refToUpdate.value = currentValue;
+    }
+    subscription = observeGetter({ target, propertyName, refToUpdate, snapshot, schedule: scheduleThenRelease, syncReporter });
+  };
+
+  // Components and scopes re-check after re-rendering and on teardown, so a getter they
+  // stop reading (e.g. behind a v-if) is released right away
+  const watchOwner = () => {
+    const instance = getCurrentInstance();
+    const owner = instance || getCurrentScope();
+    if (!owner || watchedOwners.has(owner)) return;
+
+    watchedOwners.add(owner);
+    if (instance) {
+      onUpdated(releaseIfUnread, instance);
+      onUnmounted(releaseIfUnread, instance);
+    } else {
+      onScopeDispose(releaseIfUnread);
+    }
+  };
+
+  const read = () => {
+    // With unknown Vue internals every read counts, and the getter stays subscribed
+    const readByEffect = !disposed && (trackReader() !== undefined || hasVueSubscribers(readers) !== false);
+
+    if (!readByEffect) {
+      return subscription ? refToUpdate.value : safelyReadInitialValue(target, propertyName, snapshot);
+    }
+
+    if (!subscription) subscribe();
+    watchOwner();
+    return refToUpdate.value;
+  };
+
+  const dispose = () => {
+    disposed = true;
+    unsubscribe();
+  };
+
+  return { read, dispose };
 };
 
 /**
@@ -393,3 +1040,107 @@ export const safelyDisposeSubscription = (subscription) => {
     // Silently handle cleanup errors
   }
 };
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Registers a cleanup function with the active Vue effect scope.
+ * Works for component setup(), effectScope().run() and Pinia setup stores.
+ * Returns false when there is no active scope, leaving disposal to the caller.
+ */
+export const disposeWithCurrentScope = (dispose) => {
+  if (!getCurrentScope()) return false;
+  onScopeDispose(dispose);
+  return true;
+};
+
+/**
+ * Runs a cleanup function when a Vue app is unmounted. Uses app.onUnmount (Vue 3.5+)
+ * and wraps app.unmount on older versions.
+ */
+export const onAppUnmount = (app, cleanup) => {
+  if (typeof app.onUnmount === 'function') {
+    app.onUnmount(cleanup);
+    return;
+  }
+  const unmount = app.unmount;
+  app.unmount = (...args) => {
+    unmount.apply(app, args);
+    cleanup();
+  };
+};
+
+/**
+ * Creates a scheduler that runs callbacks in one of Vue's flush timings: immediately
+ * (`'sync'`), before components update (`'pre'`) or after the DOM was patched (`'post'`).
+ * 
+ * Pre/post callbacks go through a Vue watcher, so several scheduled runs before a flush
+ * collapse into one (the latest callback wins). Returns `{ schedule, stop }`.
+ */
+export const createFlushScheduler = (flush, owner) => {
+  if (flush === undefined || flush === 'sync') {
+    return { schedule: (run) => run(), stop: () => {} };
+  }
+  if (flush !== 'pre' && flush !== 'post') {
+    throw new Error(`${owner} option 'flush' must be 'sync', 'pre' or 'post'`);
+  }
+
+  let pendingRun = null;
+  const trigger = shallowRef(0);
+  const stop = watch(trigger, () => {
+    const run = pendingRun;
+    pendingRun = null;
+    run?.();
+  }, { flush });
+
+  const schedule = (run) => {
+    pendingRun = run;
+    trigger.value++;
+  };
+
+  return { schedule, stop };
+};
+
+/**
+ * Wraps a render function so MobX observables it reads are tracked by a MobX Reaction
+ * (one per component instance). When they change, a Vue ref read by the render is
+ * bumped, so Vue schedules the re-render as it does for its own state. The reaction is
+ * disposed when the instance unmounts.
+ */
+export const createObserverRender = (render, name) => {
+  const observers = new WeakMap(); // component instance -> { reaction, renderTrigger }
+
+  const observerFor = (instance) => {
+    if (!observers.has(instance)) {
+      const renderTrigger = shallowRef(0);
+      const renderReaction = new Reaction(`${name}.render`, () => {
+        renderTrigger.value++;
+      });
+      observers.set(instance, { reaction: renderReaction, renderTrigger });
+      onUnmounted(() => renderReaction.dispose(), instance);
+    }
+    return observers.get(instance);
+  };
+
+  return function observerRender(...args) {
+    const instance = getCurrentInstance();
+    if (!instance) return render.apply(this, args);
+
+    const { reaction: renderReaction, renderTrigger } = observerFor(instance);
+    renderTrigger.value; // Tracked by Vue's render effect
+
+    let result;
+    let renderError;
+    renderReaction.track(() => {
+      try {
+        result = render.apply(this, args);
+      } catch (error) {
+        renderError = error;
+      }
+    });
+    if (renderError) throw renderError;
+    return result;
+  };
+};
\ No newline at end of file
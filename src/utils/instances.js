@@ -0,0 +1,145 @@
+import { markRaw } from 'vue';
+import {
+  toJS,
+  isObservable,
+  isObservableArray,
+  isObservableMap,
+  isObservableSet,
+  isObservableObject,
+} from 'mobx';
+import clone from 'clone';
+
+/**
+ * Values handed out as preserved instances. They are opaque to the bridge:
+ * compared by reference and never deep-proxied.
+ */
+const preservedValues = new WeakSet();
+
+const INVALID_OPTION_MESSAGE =
+  "useMobxBridge option 'preserveInstances' must be true or an array of classes / { type, clone } entries";
+
+/**
+ * Checks whether a value was passed through as a preserved class instance.
+ *
+ * @param {any} value - The value to check
+ * @returns {boolean} True for values produced by a preserveInstances copier
+ */
+export function isPreservedInstance(value) {
+  return value !== null && typeof value === 'object' && preservedValues.has(value);
+}
+
+/**
+ * Creates the functions the bridge uses to copy values between MobX and Vue.
+ *
+ * Without `preserveInstances` these are `toJS` (MobX → Vue) and `clone` (Vue → MobX).
+ * With it, matching class instances keep their prototype: they are passed through by
+ * reference (or copied with the registered `clone` function) and marked raw, so Vue
+ * doesn't wrap them in a reactive proxy that would break private fields.
+ *
+ * @param {true|Array<Function|{type: Function, clone?: Function}>} preserveInstances
+ *   `true` preserves every non-observable class instance, an array only the listed classes
+ * @returns {{ snapshot: function, copy: function }} MobX → Vue and Vue → MobX copiers
+ */
+export function createValueCopiers(preserveInstances) {
+  if (preserveInstances === undefined || preserveInstances === false) {
+    return { snapshot: toJS, copy: clone };
+  }
+
+  const findPreserver = createPreserverLookup(preserveInstances);
+
+  const preserve = (value, preserver) => {
+    const result = preserver.clone ? preserver.clone(value) : value;
+    if (result && typeof result === 'object') {
+      preservedValues.add(result);
+      markRaw(result);
+    }
+    return result;
+  };
+
+  // Walks plain and observable containers, copying everything except preserved instances
+  const copyTree = (value, copyLeaf, seen) => {
+    if (!value || typeof value !== 'object') return value;
+
+    const preserver = findPreserver(value);
+    if (preserver) return preserve(value, preserver);
+    if (seen.has(value)) return seen.get(value);
+
+    if (Array.isArray(value) || isObservableArray(value)) {
+      const result = [];
+      seen.set(value, result);
+      value.forEach(item => result.push(copyTree(item, copyLeaf, seen)));
+      return result;
+    }
+    if (value instanceof Map || isObservableMap(value)) {
+      const result = new Map();
+      seen.set(value, result);
+      value.forEach((item, key) => result.set(key, copyTree(item, copyLeaf, seen)));
+      return result;
+    }
+    if (value instanceof Set || isObservableSet(value)) {
+      const result = new Set();
+      seen.set(value, result);
+      value.forEach(item => result.add(copyTree(item, copyLeaf, seen)));
+      return result;
+    }
+    if (isObservableObject(value) || isPlainObject(value)) {
+      const result = {};
+      seen.set(value, result);
+      Object.keys(value).forEach(key => {
+        result[key] = copyTree(value[key], copyLeaf, seen);
+      });
+      return result;
+    }
+
+    return copyLeaf(value);
+  };
+
+  return {
+    snapshot: (value) => copyTree(value, toJS, new Map()),
+    copy: (value) => copyTree(value, clone, new Map()),
+  };
+}
+
+/**
+ * Builds a lookup from a value to its preserver (`{ clone? }`), or null when the value
+ * isn't preserved.
+ */
+function createPreserverLookup(preserveInstances) {
+  if (preserveInstances === true) {
+    const passThrough = {};
+    return (value) => (isClassInstance(value) && !isObservable(value) ? passThrough : null);
+  }
+
+  if (!Array.isArray(preserveInstances)) {
+    throw new Error(INVALID_OPTION_MESSAGE);
+  }
+
+  const preservers = preserveInstances.map(entry => {
+    const preserver = typeof entry === 'function' ? { type: entry } : entry;
+    const hasValidClone = preserver?.clone === undefined || typeof preserver.clone === 'function';
+    if (typeof preserver?.type !== 'function' || !hasValidClone) {
+      throw new Error(INVALID_OPTION_MESSAGE);
+    }
+    return preserver;
+  });
+
+  return (value) => preservers.find(preserver => value instanceof preserver.type) ?? null;
+}
+
+/**
+ * Checks for objects created by a class (not plain objects, arrays, collections or
+ * built-ins the bridge already copies faithfully).
+ */
+function isClassInstance(value) {
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) return false;
+  if (value instanceof Date || value instanceof RegExp) return false;
+  return !isPlainObject(value);
+}
+
+/**
+ * Checks for object literals and `Object.create(null)` objects.
+ */
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
@@ -10,21 +10,204 @@ import { isComputedProp, isObservableProp } from 'mobx';
  * - Properties: Two-way bindable observable properties
  * - Methods: Bound functions
  * 
+ * Members can be narrowed down with `include` / `exclude` filters. Each filter is a
+ * member name, a RegExp, an array of those, or a predicate `(name, kind) => boolean`
+ * where kind is one of 'property', 'getter', 'setter' or 'method'.
+ * 
+ * Private members are hidden according to `privatePattern`: a name prefix (default `'_'`),
+ * a RegExp, a predicate `(name) => boolean`, or `false` to bridge private members too.
+ * 
  * @param {object} mobxObject - The MobX observable object to analyze
- * @returns {object} Object with arrays: { getters, setters, properties, methods }
+ * @param {object} options - Member selection options
+ * @param {string|RegExp|Array|function} options.include - Only bridge members matching this filter
+ * @param {string|RegExp|Array|function} options.exclude - Never bridge members matching this filter
+ * @param {string|RegExp|function|false} options.privatePattern - Convention for private members (default: '_')
+ * @returns {object} Object with arrays: { getters, setters, properties, methods } and
+ *   `filtered`, a Map of member name → option that filtered it out ('privatePattern' | 'include/exclude')
  */
-export function categorizeMobxMembers(mobxObject) {
-  // Discover all properties and methods (own + prototype)
-  const props = Object.getOwnPropertyNames(mobxObject)
-    .concat(Object.getOwnPropertyNames(Object.getPrototypeOf(mobxObject)))
-    .filter(p => p !== 'constructor' && !p.startsWith('_'));
+export function categorizeMobxMembers(mobxObject, options = {}) {
+  // Discover all properties and methods (own + whole prototype chain)
+  return categorizeMembers(mobxObject, collectMemberNames(mobxObject), options);
+}
 
-  return {
+/**
+ * Categorizes a single member, e.g. one added to the MobX object after the bridge was
+ * created. Applies the same filters as categorizeMobxMembers.
+ * 
+ * @param {object} mobxObject - The MobX observable object
+ * @param {string} name - Member name
+ * @param {object} options - Member selection options (see categorizeMobxMembers)
+ * @returns {object} Same shape as categorizeMobxMembers, with at most this member
+ */
+export function categorizeMobxMember(mobxObject, name, options = {}) {
+  return categorizeMembers(mobxObject, [name], options);
+}
+
+/**
+ * Categorizes the given member names and applies the private / include / exclude filters.
+ */
+function categorizeMembers(mobxObject, allProps, options) {
+  const isPrivate = createPrivateMemberMatcher(options.privatePattern);
+
+  const privateProps = allProps.filter(isPrivate);
+  const props = allProps.filter(p => !isPrivate(p));
+
+  const members = {
     getters: detectGetters(mobxObject, props),
     setters: detectSetters(mobxObject, props),
     properties: detectProperties(mobxObject, props),
     methods: detectMethods(mobxObject, props),
   };
+
+  const selected = selectMembers(members, createMemberFilter(options));
+
+  const filtered = new Map();
+  privateProps.forEach(name => filtered.set(name, 'privatePattern'));
+  [...members.getters, ...members.setters, ...members.properties, ...members.methods]
+    .filter(name => !isSelectedMember(selected, name))
+    .forEach(name => filtered.set(name, 'include/exclude'));
+
+  return { ...selected, filtered };
+}
+
+/**
+ * Collects member names from the object and every prototype up to (but excluding)
+ * Object.prototype, so members inherited from base classes are bridged too.
+ * 
+ * Names are de-duplicated; shadowing is resolved by getDescriptor, which returns
+ * the most-derived definition.
+ * 
+ * @param {object} mobxObject - The MobX object
+ * @returns {string[]} Unique member names, most-derived first
+ */
+function collectMemberNames(mobxObject) {
+  const names = new Set(Object.getOwnPropertyNames(mobxObject));
+
+  let prototype = Object.getPrototypeOf(mobxObject);
+  while (prototype && prototype !== Object.prototype) {
+    Object.getOwnPropertyNames(prototype).forEach(name => names.add(name));
+    prototype = Object.getPrototypeOf(prototype);
+  }
+
+  names.delete('constructor');
+  return [...names];
+}
+
+/**
+ * Creates a predicate telling whether a member name follows the private convention.
+ * 
+ * @param {string|RegExp|function|false} pattern - Prefix, RegExp, predicate, or false to disable (default: '_')
+ * @returns {function} `(name) => boolean`
+ */
+export function createPrivateMemberMatcher(pattern = '_') {
+  if (pattern === false || pattern === null) return () => false;
+  if (typeof pattern === 'string') return (name) => name.startsWith(pattern);
+  if (pattern instanceof RegExp) return (name) => name.search(pattern) !== -1;
+  if (typeof pattern === 'function') return (name) => Boolean(pattern(name));
+
+  throw new Error("useMobxBridge option 'privatePattern' must be a string prefix, RegExp, function, or false");
+}
+
+/**
+ * Creates a predicate deciding whether a member should be bridged.
+ * 
+ * @param {object} options - Object with optional `include` and `exclude` filters
+ * @returns {function} `(name, kind) => boolean`
+ */
+export function createMemberFilter({ include, exclude } = {}) {
+  assertValidMemberFilter(include, 'include');
+  assertValidMemberFilter(exclude, 'exclude');
+
+  return (name, kind) => {
+    if (include != null && !matchesMemberFilter(include, name, kind)) return false;
+    if (exclude != null && matchesMemberFilter(exclude, name, kind)) return false;
+    return true;
+  };
+}
+
+/**
+ * Resolves the kind reported to member filters.
+ * 
+ * Getter/setter pairs are reported as 'getter' so both halves are kept or dropped together.
+ * 
+ * @param {object} members - Categorized members
+ * @param {string} name - Member name
+ * @returns {string} 'method' | 'property' | 'getter' | 'setter'
+ */
+function getMemberKind(members, name) {
+  if (members.methods.includes(name)) return 'method';
+  if (members.properties.includes(name)) return 'property';
+  if (members.getters.includes(name)) return 'getter';
+  return 'setter';
+}
+
+/**
+ * Drops every member rejected by the filter from all categories.
+ * 
+ * @param {object} members - Categorized members
+ * @param {function} isSelected - Predicate created by createMemberFilter
+ * @returns {object} Filtered members with the same shape
+ */
+function selectMembers(members, isSelected) {
+  const selected = new Set(
+    [...members.getters, ...members.setters, ...members.properties, ...members.methods]
+      .filter(name => isSelected(name, getMemberKind(members, name)))
+  );
+  const keepSelected = (names) => names.filter(name => selected.has(name));
+
+  return {
+    getters: keepSelected(members.getters),
+    setters: keepSelected(members.setters),
+    properties: keepSelected(members.properties),
+    methods: keepSelected(members.methods),
+  };
+}
+
+/**
+ * Checks whether a member survived selection in any category.
+ * 
+ * @param {object} members - Categorized members
+ * @param {string} name - Member name
+ * @returns {boolean} True if the member is bridged
+ */
+function isSelectedMember(members, name) {
+  return members.getters.includes(name) ||
+         members.setters.includes(name) ||
+         members.properties.includes(name) ||
+         members.methods.includes(name);
+}
+
+/**
+ * Checks a member against a single include/exclude filter.
+ * 
+ * @param {string|RegExp|Array|function} filter - The filter to apply
+ * @param {string} name - Member name
+ * @param {string} kind - Member kind
+ * @returns {boolean} True if the member matches
+ */
+function matchesMemberFilter(filter, name, kind) {
+  if (typeof filter === 'function') return Boolean(filter(name, kind));
+
+  const patterns = Array.isArray(filter) ? filter : [filter];
+  return patterns.some(pattern =>
+    pattern instanceof RegExp ? name.search(pattern) !== -1 : pattern === name
+  );
+}
+
+/**
+ * Validates an include/exclude option so typos fail loudly instead of bridging nothing.
+ * 
+ * @param {any} filter - The filter option value
+ * @param {string} optionName - Option name for the error message
+ */
+function assertValidMemberFilter(filter, optionName) {
+  if (filter == null || typeof filter === 'function') return;
+
+  const patterns = Array.isArray(filter) ? filter : [filter];
+  const isValid = patterns.every(pattern => typeof pattern === 'string' || pattern instanceof RegExp);
+  if (!isValid) {
+    throw new Error(`useMobxBridge option '${optionName}' must be a string, RegExp, an array of those, or a function`);
+  }
 }
 
 /**
@@ -84,7 +267,7 @@ function detectSetters(mobxObject, props) {
       if (!descriptor || typeof descriptor.set !== 'function') return false;
       
       // Exclude methods (shouldn't happen, but defensive)
-      if (typeof mobxObject[p] === 'function') return false;
+      if (isMethodMember(mobxObject, p)) return false;
       
       // For computed properties, include if it has both getter AND setter descriptors
       // Don't call the setter during initialization - we'll handle errors during actual sync
@@ -152,12 +335,12 @@ function detectProperties(mobxObject, props) {
       // Must be observable
       if (!isObservableProp(mobxObject, p)) return false;
       
+      // Exclude computed properties (they're getters) - checked before reading the value
+      if (isComputedProp(mobxObject, p)) return false;
+      
       // Exclude methods
       if (typeof mobxObject[p] === 'function') return false;
       
-      // Exclude computed properties (they're getters)
-      if (isComputedProp(mobxObject, p)) return false;
-      
       return true; // Regular observable property
     } catch (error) {
       return false;
@@ -175,7 +358,7 @@ function detectProperties(mobxObject, props) {
 function detectMethods(mobxObject, props) {
   return props.filter(p => {
     try {
-      return typeof mobxObject[p] === 'function';
+      return isMethodMember(mobxObject, p);
     } catch (error) {
       return false;
     }
@@ -183,13 +366,40 @@ function detectMethods(mobxObject, props) {
 }
 
 /**
- * Gets the property descriptor from either the object or its prototype.
+ * Checks whether a member holds a function.
+ * 
+ * Computed properties are skipped without being read, so detection never forces
+ * a computed to evaluate (important for members that end up filtered out).
+ * 
+ * @param {object} mobxObject - The MobX object
+ * @param {string} prop - Property name
+ * @returns {boolean} True if the member is a method
+ */
+function isMethodMember(mobxObject, prop) {
+  try {
+    if (isComputedProp(mobxObject, prop)) return false;
+  } catch (error) {
+    // Fall through to reading the value, like the other detectors do
+  }
+  return typeof mobxObject[prop] === 'function';
+}
+
+/**
+ * Gets the property descriptor from the object or the nearest prototype defining it.
+ * 
+ * Walks the prototype chain up to (but excluding) Object.prototype, so the
+ * most-derived definition of an overridden member wins.
  * 
  * @param {object} obj - The object to inspect
  * @param {string} prop - Property name
  * @returns {PropertyDescriptor|undefined} The descriptor or undefined
  */
 function getDescriptor(obj, prop) {
-  return Object.getOwnPropertyDescriptor(obj, prop) || 
-         Object.getOwnPropertyDescriptor(Object.getPrototypeOf(obj), prop);
+  let current = obj;
+  while (current && current !== Object.prototype) {
+    const descriptor = Object.getOwnPropertyDescriptor(current, prop);
+    if (descriptor) return descriptor;
+    current = Object.getPrototypeOf(current);
+  }
+  return undefined;
 }
@@ -0,0 +1,160 @@
+import { toJS, isObservableArray, isObservableMap, isObservableSet, isObservableObject } from 'mobx';
+
+/**
+ * Largest number of items a single splice patch may insert.
+ * Bigger splices are resynced instead, to stay clear of argument-count limits.
+ */
+const MAX_PATCHED_SPLICE_ITEMS = 10000;
+
+/**
+ * Splits a deepObserve path ("items/3/tags") into its segments.
+ *
+ * @param {string} path - Slash separated path as reported by deepObserve
+ * @returns {string[]} Path segments (empty for the root)
+ */
+export function splitPath(path) {
+  return path ? path.split('/') : [];
+}
+
+/**
+ * Reads a child from an object, array, Map or MobX observable map.
+ *
+ * @param {object} container - The parent value
+ * @param {string} key - Property name, index or map key
+ * @returns {any} The child value
+ */
+export function getChild(container, key) {
+  if (container instanceof Map || isObservableMap(container)) {
+    return container.get(key);
+  }
+  return container[key];
+}
+
+/**
+ * Walks a path from a root value.
+ *
+ * @param {any} root - The value to start from
+ * @param {string[]} segments - Path segments
+ * @returns {any} The value at the path, or undefined if the path doesn't exist
+ */
+export function resolvePath(root, segments) {
+  let node = root;
+  for (const segment of segments) {
+    if (!node || typeof node !== 'object') return undefined;
+    node = getChild(node, segment);
+  }
+  return node;
+}
+
+/**
+ * Copies the new values of a MobX change event at the time it happened, so the change
+ * can be applied later with an identity snapshot.
+ *
+ * @param {object} change - The MobX change event
+ * @param {function} snapshot - Converts observable values to plain values
+ * @returns {object} The change with `added` and `newValue` copied
+ */
+export function snapshotMobxChange(change, snapshot = toJS) {
+  const copied = { ...change, newValue: snapshot(change.newValue) };
+  if (change.added) copied.added = change.added.map(item => snapshot(item));
+  return copied;
+}
+
+/**
+ * Applies a MobX change event (as delivered by observe/deepObserve) to the plain
+ * counterpart of the observable that changed.
+ *
+ * Supports array splices and index updates, object add/update/remove, map
+ * add/update/delete and set add/delete. The container is mutated in place, so when it is Vue-reactive
+ * only the touched keys trigger.
+ *
+ * @param {object|array|Map} container - Plain counterpart of `change.object`
+ * @param {object} change - The MobX change event
+ * @param {function} snapshot - Converts observable values to plain values (default: toJS)
+ * @returns {boolean} False if the change couldn't be applied and a full resync is needed
+ */
+export function applyMobxChange(container, change, snapshot = toJS) {
+  if (!container || typeof container !== 'object') return false;
+
+  if (isObservableArray(change.object)) {
+    if (!Array.isArray(container)) return false;
+
+    if (change.type === 'splice') {
+      if (change.addedCount > MAX_PATCHED_SPLICE_ITEMS) return false;
+      container.splice(change.index, change.removedCount, ...change.added.map(item => snapshot(item)));
+      return true;
+    }
+    if (change.type === 'update') {
+      container[change.index] = snapshot(change.newValue);
+      return true;
+    }
+    return false;
+  }
+
+  if (isObservableMap(change.object)) {
+    if (!(container instanceof Map)) return false;
+
+    if (change.type === 'add' || change.type === 'update') {
+      container.set(change.name, snapshot(change.newValue));
+      return true;
+    }
+    if (change.type === 'delete') {
+      container.delete(change.name);
+      return true;
+    }
+    return false;
+  }
+
+  if (isObservableSet(change.object)) {
+    if (!(container instanceof Set)) return false;
+
+    if (change.type === 'add') {
+      container.add(snapshot(change.newValue));
+      return true;
+    }
+    // Object members are copies on the Vue side and can't be matched by identity
+    if (change.type === 'delete' && (!change.oldValue || typeof change.oldValue !== 'object')) {
+      return container.delete(change.oldValue);
+    }
+    return false;
+  }
+
+  if (isObservableObject(change.object)) {
+    if (Array.isArray(container) || container instanceof Map) return false;
+
+    if (change.type === 'add' || change.type === 'update') {
+      container[change.name] = snapshot(change.newValue);
+      return true;
+    }
+    if (change.type === 'remove') {
+      delete container[change.name];
+      return true;
+    }
+    return false;
+  }
+
+  return false;
+}
+
+/**
+ * Replaces the contents of an array, Map or Set in place, keeping its identity.
+ *
+ * @param {array|Map|Set} container - The value to update (may be Vue-reactive)
+ * @param {array|Map|Set} next - The value whose contents to copy in
+ */
+export function replaceContents(container, next) {
+  if (Array.isArray(container)) {
+    // Assigned by index: spreading a large array into splice() overflows the call stack
+    for (let index = 0; index < next.length; index++) {
+      container[index] = next[index];
+    }
+    container.length = next.length;
+    return;
+  }
+  container.clear();
+  if (container instanceof Map) {
+    next.forEach((value, key) => container.set(key, value));
+  } else {
+    next.forEach(value => container.add(value));
+  }
+}
@@ -0,0 +1,86 @@
+import { effectScope } from 'vue';
+
+/**
+ * Creates the store registry of one Vue app.
+ *
+ * Stores are constructed on first use and bridged once; every component asking for the
+ * same store gets the same bridged state, so they share one set of MobX subscriptions.
+ * Because each app gets its own registry, server-rendered requests never share stores.
+ *
+ * @param {object} stores - Store name → class or factory function
+ * @param {function} createBridge - `(store) => { state, dispose }`, e.g. createMobxBridge
+ * @returns {{ resolveByName: function, resolveByType: function, dispose: function }}
+ */
+export function createStoreRegistry(stores, createBridge) {
+  if (!stores || typeof stores !== 'object') {
+    throw new Error("MobxBridgePlugin option 'stores' must be an object of store classes or factories");
+  }
+  Object.entries(stores).forEach(([name, definition]) => {
+    if (typeof definition !== 'function') {
+      throw new Error(`MobxBridgePlugin store '${name}' must be a class or a factory function`);
+    }
+  });
+
+  // Store name or class → { store, state }, filled lazily
+  const entries = new Map();
+  const bridges = [];
+  // Bridges are created lazily during some component's setup, but are shared by the
+  // whole app: their watchers and computeds must not stop when that component unmounts
+  const bridgeScope = effectScope(true);
+  let disposed = false;
+
+  const register = (key, store) => {
+    const { state, dispose } = bridgeScope.run(() => createBridge(store));
+    const entry = { store, state };
+    entries.set(key, entry);
+    bridges.push(dispose);
+    return entry;
+  };
+
+  const assertActive = () => {
+    if (disposed) throw new Error('The MobX store registry was disposed with its app');
+  };
+
+  const resolveByName = (name) => {
+    assertActive();
+    if (entries.has(name)) return entries.get(name);
+
+    const definition = Object.prototype.hasOwnProperty.call(stores, name) ? stores[name] : undefined;
+    if (!definition) {
+      throw new Error(`No store registered as '${name}' in MobxBridgePlugin`);
+    }
+    return register(name, isClass(definition) ? new definition() : definition());
+  };
+
+  // Uses a registered store of that class when there is one, else constructs its own
+  const resolveByType = (StoreClass) => {
+    assertActive();
+    if (entries.has(StoreClass)) return entries.get(StoreClass);
+
+    const registeredName = Object.keys(stores).find(name => stores[name] === StoreClass);
+    if (registeredName !== undefined) return resolveByName(registeredName);
+
+    const existing = [...entries.values()].find(entry => entry.store instanceof StoreClass);
+    if (existing) return existing;
+
+    return register(StoreClass, new StoreClass());
+  };
+
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    bridges.forEach(disposeBridge => disposeBridge());
+    bridges.length = 0;
+    bridgeScope.stop();
+    entries.clear();
+  };
+
+  return { resolveByName, resolveByType, dispose };
+}
+
+/**
+ * Distinguishes `class CartStore {}` from a `() => new CartStore()` factory.
+ */
+function isClass(definition) {
+  return /^class[\s{]/.test(Function.prototype.toString.call(definition));
+}
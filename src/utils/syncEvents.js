@@ -0,0 +1,276 @@
+import { spy, toJS } from 'mobx';
+
+// ============================================================================
+// ACTIVE BRIDGES
+// ============================================================================
+
+/**
+ * Every bridge that hasn't been disposed yet, for inspection (e.g. Vue Devtools).
+ *
+ * Records are held through WeakRefs: a bridge that is never disposed (e.g. one per
+ * server-rendered request) must not keep its store and state alive. The bridge's own
+ * closures reference the record, so it lives as long as the bridged state or the
+ * store's listeners do.
+ */
+const activeBridges = new Set();
+const bridgeListeners = new Set();
+let nextBridgeId = 1;
+
+const notifyBridgeListeners = () => bridgeListeners.forEach(listener => listener());
+
+const collectedBridges = new FinalizationRegistry((bridgeRef) => {
+  if (activeBridges.delete(bridgeRef)) notifyBridgeListeners();
+});
+
+/**
+ * Registers a bridge for inspection.
+ *
+ * @param {object} info - `{ label, target, state, getMembers?, readOnlyDetected? }`
+ * @returns {{ bridge: object, unregister: function }} The registered record (with an `id`)
+ *   and a function removing it
+ */
+export function registerBridge(info) {
+  const bridge = { id: nextBridgeId++, ...info };
+  const bridgeRef = new WeakRef(bridge);
+  activeBridges.add(bridgeRef);
+  collectedBridges.register(bridge, bridgeRef, bridgeRef);
+  notifyBridgeListeners();
+
+  const unregister = () => {
+    collectedBridges.unregister(bridgeRef);
+    if (activeBridges.delete(bridgeRef)) notifyBridgeListeners();
+  };
+  return { bridge, unregister };
+}
+
+/**
+ * Returns the bridges that are currently active, oldest first.
+ */
+export const getActiveBridges = () =>
+  [...activeBridges].map(bridgeRef => bridgeRef.deref()).filter(Boolean);
+
+/**
+ * Calls `listener` whenever a bridge is created or disposed.
+ *
+ * @returns {function} Unsubscribes the listener
+ */
+export function onBridgesChanged(listener) {
+  bridgeListeners.add(listener);
+  return () => bridgeListeners.delete(listener);
+}
+
+// ============================================================================
+// BRIDGE EVENTS
+// ============================================================================
+
+const syncListeners = new Set();
+
+// Set by configureBridgeEvents (configureBridge); applies to every bridge
+const globalEvents = { debug: false, onEvent: null, stopTracking: null };
+
+/**
+ * Reporter used by bridges nobody listens to.
+ */
+export const SILENT_SYNC_REPORTER = { active: false, report: () => {}, dispose: () => {} };
+
+/**
+ * Calls `listener` with every event of every bridge (see createSyncReporter), e.g.
+ * `{ type: 'sync:mobx-to-vue', bridge, property, path, oldValue, newValue, action, duration, timestamp }`.
+ * While there are listeners, MobX actions are tracked so sync events carry the name of
+ * the action that caused them (development builds of MobX only).
+ *
+ * @returns {function} Unsubscribes the listener
+ */
+export function onSyncEvent(listener) {
+  syncListeners.add(listener);
+  const stopTracking = trackActions();
+
+  let subscribed = true;
+  return () => {
+    if (!subscribed) return;
+    subscribed = false;
+    syncListeners.delete(listener);
+    stopTracking();
+  };
+}
+
+/**
+ * Sets the event options of every bridge: `debug` traces all events to the console and
+ * `onEvent` receives them. Options left out keep their current value.
+ *
+ * @param {object} config - `{ debug?: boolean, onEvent?: function | null }`
+ */
+export function configureBridgeEvents({ debug, onEvent } = {}) {
+  if (debug !== undefined) globalEvents.debug = Boolean(debug);
+  if (onEvent !== undefined) globalEvents.onEvent = onEvent || null;
+
+  const listening = globalEvents.debug || Boolean(globalEvents.onEvent);
+  if (listening && !globalEvents.stopTracking) {
+    globalEvents.stopTracking = trackActions();
+  } else if (!listening && globalEvents.stopTracking) {
+    globalEvents.stopTracking();
+    globalEvents.stopTracking = null;
+  }
+}
+
+/**
+ * Creates the reporter a bridge hands to its helpers. Helpers only build events while
+ * `active` is true, i.e. while the bridge's `onEvent` / `debug` options, configureBridge
+ * or onSyncEvent listen.
+ *
+ * Events are `{ type, bridge, timestamp, ... }` with type `bridge:created`,
+ * `sync:mobx-to-vue`, `sync:vue-to-mobx`, `echo:suppressed`, `setter:readonly-detected`,
+ * `observe:failed` or `dispose`. Helpers pass `startedAt` (see now()) with sync events;
+ * it's reported as the `duration` in milliseconds.
+ *
+ * @param {object} bridge - The record returned by registerBridge
+ * @param {object} options - The bridge's `{ onEvent, debug }` options
+ * @returns {{ active: boolean, report: function, dispose: function }}
+ */
+export function createSyncReporter(bridge, options = {}) {
+  const ownListeners = [options.onEvent, options.debug && traceEvent].filter(Boolean);
+  const stopTracking = ownListeners.length > 0 ? trackActions() : null;
+
+  return {
+    get active() {
+      return ownListeners.length > 0 || syncListeners.size > 0 ||
+        globalEvents.debug || Boolean(globalEvents.onEvent);
+    },
+    report({ startedAt, ...details }) {
+      const event = { ...details, bridge, timestamp: Date.now() };
+      if (startedAt !== undefined) event.duration = now() - startedAt;
+
+      const listeners = [...ownListeners, ...syncListeners];
+      if (globalEvents.onEvent) listeners.push(globalEvents.onEvent);
+      if (globalEvents.debug && !options.debug) listeners.push(traceEvent);
+      listeners.forEach(listener => notifySafely(listener, event));
+    },
+    dispose() {
+      stopTracking?.();
+    },
+  };
+}
+
+/**
+ * High-resolution milliseconds for measuring sync durations.
+ */
+export const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// A throwing listener must not break syncing
+const notifySafely = (listener, event) => {
+  try {
+    listener(event);
+  } catch (error) {
+    console.warn('[mobx-vue-bridge] Bridge event listener threw:', error);
+  }
+};
+
+/**
+ * Describes a MobX change reported by `observe` / `deepObserve` at `segments` as the
+ * path, old and new value of a sync event (splices report the removed / added items).
+ */
+export function describeMobxChange(change, segments) {
+  if (change.type === 'splice') {
+    return {
+      path: [...segments, String(change.index)],
+      oldValue: toJS(change.removed),
+      newValue: toJS(change.added),
+    };
+  }
+
+  const key = change.name ?? change.index;
+  return {
+    path: key === undefined ? segments : [...segments, String(key)],
+    oldValue: toJS(change.oldValue),
+    newValue: toJS(change.newValue),
+  };
+}
+
+// ============================================================================
+// CONSOLE TRACER
+// ============================================================================
+
+const TRACE_COLORS = {
+  'sync:mobx-to-vue': '#ff9955',
+  'sync:vue-to-mobx': '#42b883',
+  'setter:readonly-detected': '#e6a23c',
+  'observe:failed': '#f56c6c',
+};
+
+/**
+ * Logs one bridge event to the console (`debug: true` / configureBridge({ debug: true })):
+ * `[mobx-vue-bridge] CartStore #1 sync:mobx-to-vue items.1 (add, 0.08ms) [] → ['Pen']`
+ */
+function traceEvent(event) {
+  const { type, bridge } = event;
+  const path = event.property === undefined ? '' : ` ${[event.property, ...(event.path || [])].join('.')}`;
+  const header = `%c[mobx-vue-bridge]%c ${bridge.label} #${bridge.id} %c${type}%c${path}`;
+  const styles = ['color: #888', '', `color: ${TRACE_COLORS[type] || '#888'}; font-weight: bold`, ''];
+
+  if (type === 'sync:mobx-to-vue' || type === 'sync:vue-to-mobx') {
+    console.log(`${header}${describeTiming(event)}`, ...styles, event.oldValue, '→', event.newValue);
+  } else if (type === 'observe:failed') {
+    console.warn(header, ...styles, event.error);
+  } else {
+    console.log(header, ...styles);
+  }
+}
+
+const describeTiming = ({ action, duration }) => {
+  const parts = [action, duration !== undefined && `${duration.toFixed(2)}ms`].filter(Boolean);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+};
+
+// ============================================================================
+// ACTION TRACKING
+// ============================================================================
+
+// The running spy reports: `{ type, name }`
+const runningReports = [];
+let lastReactionName = null;
+let trackingCount = 0;
+let stopSpy = null;
+
+/**
+ * Starts following MobX actions with `spy()` until the returned function is called.
+ * Nested calls share one spy listener.
+ */
+function trackActions() {
+  if (trackingCount++ === 0) {
+    stopSpy = spy((event) => {
+      if (event.spyReportStart) {
+        if (event.type === 'reaction') lastReactionName = event.name;
+        // The effect of `reaction()` runs right after its reaction, as an action of the same name
+        const isReactionEffect = event.type === 'action' && event.name === lastReactionName;
+        runningReports.push({ type: isReactionEffect ? 'reaction-effect' : event.type, name: event.name });
+      } else if (event.spyReportEnd) {
+        runningReports.pop();
+      }
+    });
+  }
+
+  let tracking = true;
+  return () => {
+    if (!tracking) return;
+    tracking = false;
+    if (--trackingCount === 0) {
+      stopSpy();
+      stopSpy = null;
+      runningReports.length = 0;
+      lastReactionName = null;
+    }
+  };
+}
+
+/**
+ * Returns the name of the innermost running MobX action, or undefined outside of actions
+ * (or when nobody tracks actions). The effects of `reaction()` run as actions named after
+ * their reaction; they're skipped so reaction-driven syncs carry the action that
+ * triggered the reaction.
+ */
+export function currentActionName() {
+  for (let index = runningReports.length - 1; index >= 0; index--) {
+    if (runningReports[index].type === 'action') return runningReports[index].name;
+  }
+  return undefined;
+}
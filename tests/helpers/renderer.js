@@ -0,0 +1,35 @@
+import { createRenderer } from 'vue'
+
+/**
+ * Minimal in-memory renderer so components can be mounted without a DOM
+ *
+ * Nodes are plain `{ tag, children, parent }` / `{ text, parent }` objects; mount an
+ * app into `{ tag: 'root', children: [], parent: null }` and read it back with textOf().
+ */
+
+export const { createApp } = createRenderer({
+  createElement: (tag) => ({ tag, children: [], parent: null }),
+  createText: (text) => ({ text, parent: null }),
+  createComment: (text) => ({ text: '', comment: text, parent: null }),
+  setText: (node, text) => { node.text = text },
+  setElementText: (el, text) => { el.children = [{ text, parent: el }] },
+  insert: (child, parent, anchor) => {
+    const index = anchor ? parent.children.indexOf(anchor) : -1
+    if (index >= 0) parent.children.splice(index, 0, child)
+    else parent.children.push(child)
+    child.parent = parent
+  },
+  remove: (child) => {
+    if (child.parent) child.parent.children.splice(child.parent.children.indexOf(child), 1)
+    child.parent = null
+  },
+  parentNode: (node) => node.parent,
+  nextSibling: (node) => {
+    if (!node.parent) return null
+    return node.parent.children[node.parent.children.indexOf(node) + 1] || null
+  },
+  patchProp: () => {},
+})
+
+// Text content of a rendered node and its descendants
+export const textOf = (node) => node.text ?? node.children.map(textOf).join('')
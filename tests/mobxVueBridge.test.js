@@ -16,7 +16,8 @@ const mockReactive = (obj) => obj
 const mockRef = (value) => ({ value })
 
 // Mock the Vue imports
-vi.mock('vue', () => ({
+vi.mock('vue', async (importOriginal) => ({
+  ...(await importOriginal()),
   reactive: (obj) => obj,
   ref: (value) => ({ value }),
   onMounted: (fn) => fn(),
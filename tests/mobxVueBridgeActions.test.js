@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { makeAutoObservable, observable, configure, spy, autorun } from 'mobx'
+import { ref, reactive, nextTick } from 'vue'
+import { useMobxBridge, useMobxBox, fromVue } from '../src/mobxVueBridge'
+
+/**
+ * Tests for Vue-side writes running inside named MobX actions
+ *
+ * With `enforceActions: 'always'`, MobX warns about every observable change made outside
+ * an action. Bridge writes are wrapped in actions named after their origin.
+ */
+
+class CartStore {
+  items = [{ title: 'Book', qty: 1 }]
+  coupon = ''
+  _note = ''
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get note() {
+    return this._note
+  }
+
+  set note(value) {
+    this._note = value
+  }
+
+  set discountCode(value) {
+    this.coupon = value.toUpperCase()
+  }
+}
+
+class ShopStore {
+  cart = new CartStore()
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+const recordActionNames = () => {
+  const names = []
+  const stop = spy((event) => {
+    if (event.type === 'action' && event.name.startsWith('vue:')) names.push(event.name)
+  })
+  return { names, stop }
+}
+
+describe('MobX-Vue Bridge - Named Actions', () => {
+  let warnSpy
+
+  beforeEach(() => {
+    configure({ enforceActions: 'always' })
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    configure({ enforceActions: 'observed' })
+    warnSpy.mockRestore()
+  })
+
+  it('should write properties, setters and write-only setters inside actions', () => {
+    const cart = new CartStore()
+    const state = useMobxBridge(cart)
+    const seen = []
+    autorun(() => seen.push(`${cart.coupon}|${cart.note}`))
+    const { names, stop } = recordActionNames()
+
+    state.coupon = 'spring'
+    state.note = 'Gift'
+    state.discountCode = 'summer'
+    stop()
+
+    expect(seen).toEqual(['|', 'spring|', 'spring|Gift', 'SUMMER|Gift'])
+    expect(names).toEqual(['vue:set coupon', 'vue:set note', 'vue:set discountCode'])
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should replay nested writes in a vue:patch action', async () => {
+    const cart = new CartStore()
+    const state = useMobxBridge(cart)
+    autorun(() => cart.items.map(item => item.qty))
+    const { names, stop } = recordActionNames()
+
+    state.items[0].qty = 2
+    state.items.push({ title: 'Pen', qty: 1 })
+    await nextTick()
+    stop()
+
+    expect(cart.items.map(item => item.qty)).toEqual([2, 1])
+    expect(names).toEqual(['vue:patch items'])
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should replace nested stores and boxed values inside actions', () => {
+    const shop = new ShopStore()
+    const state = useMobxBridge(shop)
+    const count = observable.box(0)
+    const countRef = useMobxBox(count)
+    autorun(() => [shop.cart, count.get()])
+    const { names, stop } = recordActionNames()
+
+    const nextCart = new CartStore()
+    state.cart = nextCart
+    countRef.value = 3
+    stop()
+
+    expect(shop.cart).toBe(nextCart)
+    expect(count.get()).toBe(3)
+    expect(names).toEqual(['vue:set cart', 'vue:set value'])
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should sync fromVue changes inside actions', () => {
+    const page = ref(1)
+    const filters = reactive({ query: '' })
+    const pageBox = fromVue(page)
+    const filterState = fromVue(filters)
+    autorun(() => [pageBox.get(), filterState.query])
+    const { names, stop } = recordActionNames()
+
+    page.value = 2
+    filters.query = 'mobx'
+    stop()
+
+    expect(names).toEqual(['vue:sync value', 'vue:sync state'])
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+})
@@ -3,7 +3,8 @@ import { makeAutoObservable } from 'mobx'
 
 // Mock Vue imports
 const mockDisposers = []
-vi.mock('vue', () => ({
+vi.mock('vue', async (importOriginal) => ({
+  ...(await importOriginal()),
   reactive: (obj) => obj,
   ref: (value) => ({ value }),
   onMounted: (fn) => fn(),
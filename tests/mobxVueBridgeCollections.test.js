@@ -0,0 +1,152 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, observable, runInAction } from 'mobx'
+import { watch, computed, nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for two-way bridging of observable Map and Set values
+ *
+ * Vue-side set/add/delete/clear calls are forwarded to the MobX collection, and MobX
+ * changes (including size and iteration) are reflected reactively on the Vue side.
+ */
+
+class TaggingStore {
+  tagsById = observable.map({
+    bug: { label: 'Bug', color: 'red' },
+    docs: { label: 'Docs', color: 'blue' },
+  })
+  selectedIds = observable.set([1, 2])
+  filters = { tags: observable.map({ open: true }) }
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+describe('MobX-Vue Bridge - Map and Set Values', () => {
+  it('should forward Map mutations to the MobX map', async () => {
+    const store = new TaggingStore()
+    const state = useMobxBridge(store)
+    const mapBefore = store.tagsById
+
+    state.tagsById.set('ui', { label: 'UI', color: 'green' })
+    state.tagsById.delete('docs')
+    await nextTick()
+
+    expect(store.tagsById).toBe(mapBefore)
+    expect([...store.tagsById.keys()]).toEqual(['bug', 'ui'])
+    expect(store.tagsById.get('ui').label).toBe('UI')
+
+    state.tagsById.clear()
+    await nextTick()
+    expect(store.tagsById.size).toBe(0)
+  })
+
+  it('should forward Set mutations to the MobX set', async () => {
+    const store = new TaggingStore()
+    const state = useMobxBridge(store)
+
+    state.selectedIds.add(3)
+    state.selectedIds.delete(1)
+    await nextTick()
+
+    expect([...store.selectedIds]).toEqual([2, 3])
+
+    state.selectedIds.clear()
+    await nextTick()
+    expect(store.selectedIds.size).toBe(0)
+  })
+
+  it('should sync writes to objects read from a Map', async () => {
+    const store = new TaggingStore()
+    const state = useMobxBridge(store)
+    const bug = store.tagsById.get('bug')
+
+    state.tagsById.get('bug').color = 'orange'
+    for (const [id, tag] of state.tagsById) {
+      if (id === 'docs') tag.label = 'Documentation'
+    }
+    await nextTick()
+
+    expect(store.tagsById.get('bug')).toBe(bug)
+    expect(bug.color).toBe('orange')
+    expect(store.tagsById.get('docs').label).toBe('Documentation')
+  })
+
+  it('should forward mutations of maps nested in objects', async () => {
+    const store = new TaggingStore()
+    const state = useMobxBridge(store)
+
+    state.filters.tags.set('closed', false)
+    await nextTick()
+
+    expect(store.filters.tags.get('closed')).toBe(false)
+  })
+
+  it('should reflect MobX changes in size and iteration', () => {
+    const store = new TaggingStore()
+    const state = useMobxBridge(store)
+    const tagCount = computed(() => state.tagsById.size)
+    const selected = computed(() => [...state.selectedIds])
+    const labels = []
+
+    watch(() => [...state.tagsById.values()].map(tag => tag.label), (value) => labels.push(value), { flush: 'sync' })
+
+    runInAction(() => {
+      store.tagsById.set('ui', { label: 'UI', color: 'green' })
+      store.selectedIds.add(5)
+    })
+    expect(tagCount.value).toBe(3)
+    expect(selected.value).toEqual([1, 2, 5])
+    expect(labels).toEqual([['Bug', 'Docs', 'UI']])
+
+    runInAction(() => {
+      store.tagsById.delete('bug')
+      store.selectedIds.delete(1)
+    })
+    expect(tagCount.value).toBe(2)
+    expect(selected.value).toEqual([2, 5])
+  })
+
+  it('should apply collection mutations immediately with nestedSync: sync', () => {
+    const store = new TaggingStore()
+    const state = useMobxBridge(store, { nestedSync: 'sync' })
+
+    expect(state.selectedIds.add(7)).toBe(state.selectedIds)
+    expect(store.selectedIds.has(7)).toBe(true)
+    expect(state.tagsById.delete('bug')).toBe(true)
+    expect(store.tagsById.has('bug')).toBe(false)
+  })
+
+  it('should sync a Set of objects when a member is deleted', async () => {
+    class BoardStore {
+      pinned = observable.set([{ id: 1 }, { id: 2 }])
+      constructor() {
+        makeAutoObservable(this)
+      }
+    }
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    const [first] = state.pinned
+    state.pinned.delete(first)
+    await nextTick()
+
+    expect([...store.pinned].map(item => item.id)).toEqual([2])
+  })
+
+  it('should block collection mutations when direct mutation is disabled', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const store = new TaggingStore()
+    const state = useMobxBridge(store, { allowDirectMutation: false })
+
+    state.selectedIds.add(3)
+    state.tagsById.clear()
+
+    expect(warnSpy).toHaveBeenCalledWith("Direct mutation of 'selectedIds.add()' is disabled")
+    expect(warnSpy).toHaveBeenCalledWith("Direct mutation of 'tagsById.clear()' is disabled")
+    expect(state.selectedIds.size).toBe(2)
+    expect(store.tagsById.size).toBe(2)
+    warnSpy.mockRestore()
+  })
+})
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { watch, effectScope, isRef, isReadonly } from 'vue'
+import { useMobxComputed } from '../src/mobxVueBridge'
+
+/**
+ * Tests for useMobxComputed
+ *
+ * Ad-hoc MobX expressions across several stores, exposed as read-only Vue refs.
+ */
+
+class TodoStore {
+  items = [
+    { title: 'Write docs', done: false },
+    { title: 'Release', done: true },
+  ]
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+class FilterStore {
+  showDone = false
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+describe('MobX-Vue Bridge - useMobxComputed', () => {
+  it('should derive a value across several stores', () => {
+    const todos = new TodoStore()
+    const filter = new FilterStore()
+    const visible = useMobxComputed(() =>
+      todos.items.filter(item => filter.showDone || !item.done).map(item => item.title)
+    )
+
+    expect(isRef(visible)).toBe(true)
+    expect(visible.value).toEqual(['Write docs'])
+
+    runInAction(() => { filter.showDone = true })
+    expect(visible.value).toEqual(['Write docs', 'Release'])
+
+    runInAction(() => { todos.items[0].title = 'Write more docs' })
+    expect(visible.value).toEqual(['Write more docs', 'Release'])
+  })
+
+  it('should not trigger Vue for structurally equal results', () => {
+    const todos = new TodoStore()
+    const openTitles = useMobxComputed(() => todos.items.filter(item => !item.done).map(item => item.title))
+    const seen = []
+    watch(openTitles, (titles) => seen.push(titles), { flush: 'sync' })
+
+    runInAction(() => { todos.items[1].title = 'Release v2' })
+    expect(seen).toEqual([])
+
+    runInAction(() => { todos.items[1].done = false })
+    expect(seen).toEqual([['Write docs', 'Release v2']])
+  })
+
+  it('should use a custom equals comparer', () => {
+    const todos = new TodoStore()
+    const ranges = []
+    const count = useMobxComputed(() => todos.items.length, {
+      equals: (a, b) => Math.floor(a / 5) === Math.floor(b / 5),
+    })
+    watch(count, (value) => ranges.push(value), { flush: 'sync' })
+
+    runInAction(() => todos.items.push({ title: 'Three', done: false }))
+    expect(count.value).toBe(2)
+
+    runInAction(() => todos.items.push(...[3, 4, 5].map(n => ({ title: `${n}`, done: false }))))
+    expect(count.value).toBe(6)
+    expect(ranges).toEqual([6])
+  })
+
+  it('should be read-only', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const todos = new TodoStore()
+    const count = useMobxComputed(() => todos.items.length)
+
+    expect(isReadonly(count)).toBe(true)
+    count.value = 10
+    expect(count.value).toBe(2)
+    warnSpy.mockRestore()
+  })
+
+  it('should report errors and recover once the expression succeeds', () => {
+    const todos = new TodoStore()
+    const onError = vi.fn()
+    const firstTitle = useMobxComputed(() => todos.items[0].title.toUpperCase(), { onError })
+
+    runInAction(() => todos.items.splice(0))
+    expect(firstTitle.value).toBeUndefined()
+    expect(onError).toHaveBeenCalledTimes(1)
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(TypeError)
+
+    runInAction(() => todos.items.push({ title: 'again', done: false }))
+    expect(firstTitle.value).toBe('AGAIN')
+  })
+
+  it('should warn about errors by default', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const value = useMobxComputed(() => { throw new Error('boom') })
+
+    expect(value.value).toBeUndefined()
+    expect(warnSpy).toHaveBeenCalledWith('[mobx-vue-bridge] useMobxComputed expression threw:', expect.any(Error))
+    warnSpy.mockRestore()
+  })
+
+  it('should dispose with the surrounding effect scope', () => {
+    const todos = new TodoStore()
+    const expression = vi.fn(() => todos.items.length)
+    const scope = effectScope()
+    const count = scope.run(() => useMobxComputed(expression))
+
+    scope.stop()
+    runInAction(() => todos.items.push({ title: 'Three', done: false }))
+
+    expect(count.value).toBe(2)
+    expect(expression).toHaveBeenCalledTimes(1)
+  })
+
+  it('should dispose explicitly outside of a scope', () => {
+    const todos = new TodoStore()
+    const count = useMobxComputed(() => todos.items.length)
+
+    count.$dispose()
+    runInAction(() => todos.items.push({ title: 'Three', done: false }))
+
+    expect(count.value).toBe(2)
+  })
+
+  it('should require an expression function', () => {
+    expect(() => useMobxComputed(42)).toThrow('useMobxComputed requires an expression function')
+  })
+})
@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { makeAutoObservable, runInAction, observable } from 'mobx'
+import { h, nextTick } from 'vue'
+import { MobxBridgeDevtools, createMobxBridge } from '../src/mobxVueBridge'
+import { createApp } from './helpers/renderer'
+import { setFlagsFromString } from 'v8'
+import { runInNewContext } from 'vm'
+
+/**
+ * Tests for the Vue Devtools integration
+ *
+ * @vue/devtools-api is mocked: setupDevtoolsPlugin runs the setup function right away
+ * against a recording API object.
+ */
+
+const devtools = vi.hoisted(() => ({ api: null, descriptor: null }))
+
+vi.mock('@vue/devtools-api', () => ({
+  setupDevtoolsPlugin: (descriptor, setup) => {
+    devtools.descriptor = descriptor
+    setup(devtools.api)
+  },
+}))
+
+const createMockApi = () => {
+  const handlers = {}
+  return {
+    handlers,
+    addInspector: vi.fn(),
+    addTimelineLayer: vi.fn(),
+    addTimelineEvent: vi.fn(),
+    sendInspectorTree: vi.fn(),
+    sendInspectorState: vi.fn(),
+    now: () => 42,
+    on: {
+      getInspectorTree: (handler) => { handlers.tree = handler },
+      getInspectorState: (handler) => { handlers.state = handler },
+    },
+  }
+}
+
+class CartStore {
+  items = ['Book']
+  _discount = 0
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get count() {
+    return this.items.length
+  }
+
+  get total() {
+    return this.count * 10
+  }
+
+  set total(value) {
+    throw new Error('[MobX] It is not possible to assign a new value to a computed value.')
+  }
+
+  add(item) {
+    this.items.push(item)
+  }
+}
+
+describe('MobX-Vue Bridge - Devtools', () => {
+  let app
+  let api
+
+  beforeEach(() => {
+    api = createMockApi()
+    devtools.api = api
+    app = createApp({ render: () => h('div') })
+    app.use(MobxBridgeDevtools)
+    app.mount({ tag: 'root', children: [], parent: null })
+  })
+
+  afterEach(() => {
+    app?.unmount()
+  })
+
+  const readTree = (filter = '') => {
+    const payload = { app, inspectorId: 'mobx-vue-bridge', filter, rootNodes: [] }
+    api.handlers.tree(payload)
+    return payload.rootNodes
+  }
+
+  const readState = (nodeId) => {
+    const payload = { app, inspectorId: 'mobx-vue-bridge', nodeId, state: null }
+    api.handlers.state(payload)
+    return payload.state
+  }
+
+  it('should register an inspector and a timeline layer', () => {
+    expect(devtools.descriptor).toMatchObject({ id: 'mobx-vue-bridge', app })
+    expect(api.addInspector).toHaveBeenCalledWith(expect.objectContaining({ id: 'mobx-vue-bridge' }))
+    expect(api.addTimelineLayer).toHaveBeenCalledWith(expect.objectContaining({ id: 'mobx-vue-bridge:sync' }))
+  })
+
+  it('should list active bridges', () => {
+    const cart = createMobxBridge(new CartStore())
+    const tags = createMobxBridge(observable.set(['vue']))
+    expect(api.sendInspectorTree).toHaveBeenCalledWith('mobx-vue-bridge')
+
+    const labels = readTree().map(node => node.label.replace(/ #\d+$/, ''))
+    expect(labels).toEqual(expect.arrayContaining(['CartStore', 'observable.set']))
+    expect(readTree('cart').every(node => node.label.startsWith('CartStore'))).toBe(true)
+
+    cart.dispose()
+    tags.dispose()
+    expect(readTree().some(node => node.label.startsWith('CartStore'))).toBe(false)
+  })
+
+  it('should show members by kind and setters detected as read-only', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const { state, dispose } = createMobxBridge(new CartStore())
+    const node = readTree().find(candidate => candidate.label.startsWith('CartStore'))
+
+    expect(() => { state.total = 5 }).toThrow()
+    const inspected = readState(node.id)
+
+    expect(inspected.properties).toEqual([{ key: 'items', value: ['Book'], editable: false }])
+    expect(inspected.getters.map(entry => [entry.key, entry.value])).toEqual([['count', 1], ['total', 10]])
+    expect(inspected.setters).toEqual([
+      { key: 'count', value: 'writable', editable: false },
+      { key: 'total', value: 'read-only (detected on write)', editable: false },
+    ])
+    expect(inspected.methods.map(entry => entry.key)).toEqual(['add'])
+    expect(inspected.filtered).toEqual([{ key: '_discount', value: 'privatePattern', editable: false }])
+    dispose()
+    warnSpy.mockRestore()
+  })
+
+  it('should record MobX → Vue syncs with the originating action', () => {
+    const cart = new CartStore()
+    const { dispose } = createMobxBridge(cart)
+
+    cart.add('Pen')
+
+    const events = api.addTimelineEvent.mock.calls.map(([options]) => options.event)
+    expect(api.addTimelineEvent.mock.calls.every(([options]) => options.layerId === 'mobx-vue-bridge:sync')).toBe(true)
+    expect(events.map(event => [event.title, event.subtitle])).toEqual([
+      ['MobX → Vue items.1', 'add'],
+      ['MobX → Vue count', 'add'],
+      ['MobX → Vue total', 'add'],
+    ])
+    expect(events[0].data).toMatchObject({ property: 'items', path: '1', oldValue: [], newValue: ['Pen'] })
+    expect(events[1].data).toMatchObject({ oldValue: 1, newValue: 2 })
+    dispose()
+  })
+
+  it('should record Vue → MobX syncs with the bridge action name', async () => {
+    const cart = new CartStore()
+    const { state, dispose } = createMobxBridge(cart)
+
+    state.items = ['Lamp']
+    state.items.push('Desk')
+    await nextTick()
+
+    const vueToMobx = api.addTimelineEvent.mock.calls
+      .map(([options]) => options.event)
+      .filter(event => event.title.startsWith('Vue → MobX'))
+    expect(vueToMobx.map(event => [event.title, event.subtitle])).toEqual([
+      ['Vue → MobX items', 'vue:set items'],
+      ['Vue → MobX items', 'vue:patch items'],
+    ])
+    expect(vueToMobx[0].data).toMatchObject({ oldValue: ['Book'], newValue: ['Lamp'] })
+    expect(vueToMobx[1].data).toMatchObject({ oldValue: ['Lamp'], newValue: ['Lamp', 'Desk'] })
+    dispose()
+  })
+
+  it('should not keep bridges that were never disposed alive', async () => {
+    setFlagsFromString('--expose-gc')
+    const collectGarbage = runInNewContext('gc')
+    class AbandonedStore {
+      items = ['Book']
+
+      constructor() {
+        makeAutoObservable(this)
+      }
+    }
+
+    const storeRef = (() => {
+      const store = new AbandonedStore()
+      createMobxBridge(store)
+      return new WeakRef(store)
+    })()
+    const abandonedLabels = () => readTree().filter(node => node.label.startsWith('AbandonedStore'))
+    expect(abandonedLabels()).toHaveLength(1)
+
+    // WeakRef targets are kept alive until the current job ends
+    await new Promise(resolve => setTimeout(resolve, 0))
+    collectGarbage()
+
+    expect(storeRef.deref()).toBeUndefined()
+    expect(abandonedLabels()).toEqual([])
+  })
+
+  it('should stop recording once the app is unmounted', () => {
+    const cart = new CartStore()
+    const { dispose } = createMobxBridge(cart)
+
+    app.unmount()
+    app = null
+
+    runInAction(() => cart.items.push('Pen'))
+    expect(api.addTimelineEvent).not.toHaveBeenCalled()
+    dispose()
+  })
+  it('should stop recording on unmount with Vue versions before app.onUnmount', () => {
+    app.unmount()
+    api = createMockApi()
+    devtools.api = api
+    app = createApp({ render: () => h('div') })
+    // app.onUnmount was added in Vue 3.5
+    app.onUnmount = undefined
+    app.use(MobxBridgeDevtools)
+    app.mount({ tag: 'root', children: [], parent: null })
+
+    const cart = new CartStore()
+    const { dispose } = createMobxBridge(cart)
+
+    app.unmount()
+    app = null
+
+    runInAction(() => cart.items.push('Pen'))
+    expect(api.addTimelineEvent).not.toHaveBeenCalled()
+    dispose()
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { effectScope, nextTick } from 'vue'
+import { useMobxBridge, createMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for bridge disposal outside of components
+ *
+ * The bridge must clean up its observe/deepObserve/reaction subscriptions when the
+ * surrounding effect scope is disposed, and expose an explicit dispose handle for
+ * callers that have no scope at all (router guards, tests, services).
+ */
+
+class CounterStore {
+  count = 0
+  items = [1, 2, 3]
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get doubled() {
+    return this.count * 2
+  }
+
+  increment() {
+    this.count++
+  }
+}
+
+describe('MobX-Vue Bridge - Disposal', () => {
+  it('should dispose subscriptions when the surrounding effectScope stops', () => {
+    const store = new CounterStore()
+    const scope = effectScope()
+    const state = scope.run(() => useMobxBridge(store))
+
+    store.increment()
+    expect(state.count).toBe(1)
+    expect(state.doubled).toBe(2)
+
+    scope.stop()
+
+    store.increment()
+    runInAction(() => store.items.push(4))
+    expect(state.count).toBe(1)
+    expect(state.doubled).toBe(2)
+    expect(state.items).toEqual([1, 2, 3])
+  })
+
+  it('should not warn when used outside of a component or scope', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const store = new CounterStore()
+
+    const state = useMobxBridge(store)
+
+    expect(state.count).toBe(0)
+    expect(warnSpy).not.toHaveBeenCalled()
+    warnSpy.mockRestore()
+    state.$dispose()
+  })
+
+  it('should expose a non-enumerable $dispose on the state', () => {
+    const store = new CounterStore()
+    const state = useMobxBridge(store)
+
+    expect(typeof state.$dispose).toBe('function')
+    expect(Object.keys(state)).not.toContain('$dispose')
+
+    state.$dispose()
+    store.increment()
+    expect(state.count).toBe(0)
+  })
+
+  it('should return state and dispose from createMobxBridge', () => {
+    const store = new CounterStore()
+    const { state, dispose } = createMobxBridge(store)
+
+    store.increment()
+    expect(state.count).toBe(1)
+
+    dispose()
+    store.increment()
+    expect(state.count).toBe(1)
+    expect(state.doubled).toBe(2)
+  })
+
+  it('should not attach createMobxBridge to the active scope', () => {
+    const store = new CounterStore()
+    const scope = effectScope()
+    const { state, dispose } = scope.run(() => createMobxBridge(store))
+
+    scope.stop()
+    store.increment()
+    expect(state.count).toBe(1)
+
+    dispose()
+  })
+
+  it('should allow dispose to be called more than once', () => {
+    const store = new CounterStore()
+    const { dispose } = createMobxBridge(store)
+
+    expect(() => {
+      dispose()
+      dispose()
+    }).not.toThrow()
+  })
+
+  it('should keep Vue → MobX writes working until disposed', async () => {
+    const store = new CounterStore()
+    const scope = effectScope()
+    const state = scope.run(() => useMobxBridge(store))
+
+    state.count = 5
+    expect(store.count).toBe(5)
+
+    state.items.push(4)
+    await nextTick()
+    expect(store.items).toEqual([1, 2, 3, 4])
+
+    scope.stop()
+  })
+})
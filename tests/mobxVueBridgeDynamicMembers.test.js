@@ -0,0 +1,132 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, extendObservable, observable, computed, action, set, remove, runInAction } from 'mobx'
+import { watch, nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for members added to or removed from the MobX object after bridging
+ *
+ * Additions and removals reported by the MobX object's administration are bridged or
+ * unbridged on the fly, including Vue reactivity for Object.keys(state) and v-for.
+ */
+
+class SettingsStore {
+  theme = 'light'
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+describe('MobX-Vue Bridge - Dynamic Members', () => {
+  it('should bridge observable properties added with extendObservable', async () => {
+    const store = new SettingsStore()
+    const state = useMobxBridge(store)
+
+    extendObservable(store, { fontSize: 14, panels: { left: true } })
+    expect(state.fontSize).toBe(14)
+
+    runInAction(() => {
+      store.fontSize = 16
+      store.panels.left = false
+    })
+    expect(state.fontSize).toBe(16)
+    expect(state.panels.left).toBe(false)
+
+    state.fontSize = 18
+    state.panels.left = true
+    await nextTick()
+    expect(store.fontSize).toBe(18)
+    expect(store.panels.left).toBe(true)
+  })
+
+  it('should bridge computeds and actions added later', () => {
+    const store = new SettingsStore()
+    const state = useMobxBridge(store)
+
+    extendObservable(store, {
+      get isDark() {
+        return this.theme === 'dark'
+      },
+      toggleTheme() {
+        this.theme = this.theme === 'dark' ? 'light' : 'dark'
+      },
+    }, { isDark: computed, toggleTheme: action })
+
+    expect(state.isDark).toBe(false)
+    state.toggleTheme()
+    expect(state.isDark).toBe(true)
+    expect(() => { state.isDark = false }).toThrow()
+  })
+
+  it('should bridge keys set on observable objects and unbridge removed ones', () => {
+    const prefs = observable({ language: 'en' })
+    const state = useMobxBridge(prefs)
+
+    set(prefs, 'timezone', 'UTC')
+    expect(state.timezone).toBe('UTC')
+
+    runInAction(() => {
+      prefs.region = 'EU'
+    })
+    expect(state.region).toBe('EU')
+
+    remove(prefs, 'timezone')
+    expect('timezone' in state).toBe(false)
+    expect(Object.keys(state)).toEqual(['language', 'region'])
+  })
+
+  it('should re-run effects that iterate the state keys', () => {
+    const prefs = observable({ language: 'en' })
+    const state = useMobxBridge(prefs)
+    const keySnapshots = []
+
+    watch(() => Object.keys(state), (keys) => keySnapshots.push(keys), { flush: 'sync' })
+
+    set(prefs, 'timezone', 'UTC')
+    remove(prefs, 'language')
+
+    expect(keySnapshots).toEqual([['language', 'timezone'], ['timezone']])
+  })
+
+  it('should render added values in effects reading them after the addition', () => {
+    const prefs = observable({ language: 'en' })
+    const state = useMobxBridge(prefs)
+    const rows = []
+
+    watch(
+      () => Object.entries(state).map(([key, value]) => `${key}=${value}`),
+      (value) => rows.push(value),
+      { flush: 'sync' }
+    )
+
+    set(prefs, 'timezone', 'UTC')
+    set(prefs, 'timezone', 'CET')
+
+    expect(rows).toEqual([['language=en', 'timezone=UTC'], ['language=en', 'timezone=CET']])
+  })
+
+  it('should stop syncing members once they are removed', () => {
+    const prefs = observable({ language: 'en', timezone: 'UTC' })
+    const state = useMobxBridge(prefs)
+    const timezone = vi.fn()
+    watch(() => state.timezone, timezone, { flush: 'sync' })
+
+    remove(prefs, 'timezone')
+    timezone.mockClear()
+    set(prefs, 'language', 'de')
+
+    expect(state.language).toBe('de')
+    expect(state.timezone).toBeUndefined()
+    expect(timezone).not.toHaveBeenCalled()
+  })
+
+  it('should apply member filters to added members', () => {
+    const prefs = observable({ language: 'en' })
+    const state = useMobxBridge(prefs, { exclude: /^debug/ })
+
+    set(prefs, { debugFlags: ['verbose'], _cache: {}, region: 'EU' })
+
+    expect(Object.keys(state)).toEqual(['language', 'region'])
+  })
+})
@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { nextTick } from 'vue'
+import { createMobxBridge, configureBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for bridge events: the `onEvent` / `debug` options and configureBridge()
+ */
+
+const failingObserve = vi.hoisted(() => ({ propertyName: null }))
+
+vi.mock('mobx', async (importOriginal) => {
+  const mobx = await importOriginal()
+  return {
+    ...mobx,
+    observe: (...args) => {
+      if (args[1] === failingObserve.propertyName) throw new Error('observer limit reached')
+      return mobx.observe(...args)
+    },
+  }
+})
+
+class CartStore {
+  items = ['Book']
+  coupon = ''
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get count() {
+    return this.items.length
+  }
+
+  get total() {
+    return this.count * 10
+  }
+
+  set total(value) {
+    throw new Error('[MobX] It is not possible to assign a new value to a computed value.')
+  }
+
+  add(item) {
+    this.items.push(item)
+  }
+}
+
+const createRecordedBridge = (store, options = {}) => {
+  const events = []
+  const bridge = createMobxBridge(store, { ...options, onEvent: event => events.push(event) })
+  return { ...bridge, events, types: () => events.map(event => event.type) }
+}
+
+describe('MobX-Vue Bridge - Events', () => {
+  afterEach(() => {
+    configureBridge({ debug: false, onEvent: null })
+    failingObserve.propertyName = null
+  })
+
+  it('should report creation and disposal', () => {
+    const { dispose, events, types } = createRecordedBridge(new CartStore())
+    dispose()
+
+    expect(types()).toEqual(['bridge:created', 'dispose'])
+    expect(events[0].bridge).toMatchObject({ label: 'CartStore', id: expect.any(Number) })
+    expect(events[0].timestamp).toEqual(expect.any(Number))
+  })
+
+  it('should report MobX → Vue syncs with path, action and duration', () => {
+    const cart = new CartStore()
+    const { dispose, events } = createRecordedBridge(cart)
+
+    cart.add('Pen')
+
+    const syncs = events.filter(event => event.type === 'sync:mobx-to-vue')
+    expect(syncs.map(({ property, path, oldValue, newValue, action }) => ({ property, path, oldValue, newValue, action })))
+      .toEqual([
+        { property: 'items', path: ['1'], oldValue: [], newValue: ['Pen'], action: 'add' },
+        { property: 'count', path: [], oldValue: 1, newValue: 2, action: 'add' },
+        { property: 'total', path: [], oldValue: 10, newValue: 20, action: 'add' },
+      ])
+    syncs.forEach(event => expect(event.duration).toBeGreaterThanOrEqual(0))
+    dispose()
+  })
+
+  it('should report Vue → MobX syncs and the echoes they suppress', async () => {
+    const { state, dispose, events, types } = createRecordedBridge(new CartStore())
+
+    state.coupon = 'SAVE10'
+    state.items.push('Pen')
+    await nextTick()
+
+    // The MobX changes made by the writes don't come back, but the getters they affect do
+    expect(types()).toEqual([
+      'bridge:created',
+      'echo:suppressed', 'sync:vue-to-mobx',
+      'echo:suppressed', 'sync:mobx-to-vue', 'sync:mobx-to-vue', 'sync:vue-to-mobx',
+    ])
+    expect(events[1]).toMatchObject({ property: 'coupon', path: [] })
+    expect(events[2]).toMatchObject({ property: 'coupon', oldValue: '', newValue: 'SAVE10', action: 'vue:set coupon' })
+    expect(events[3]).toMatchObject({ property: 'items', path: [] })
+    expect(events[4]).toMatchObject({ property: 'count', newValue: 2, action: 'vue:patch items' })
+    expect(events[6]).toMatchObject({ property: 'items', oldValue: ['Book'], newValue: ['Book', 'Pen'], action: 'vue:patch items' })
+    expect(events[6].duration).toBeGreaterThanOrEqual(0)
+    dispose()
+  })
+
+  it('should report setters detected as read-only', () => {
+    const { state, dispose, events } = createRecordedBridge(new CartStore())
+
+    expect(() => { state.total = 5 }).toThrow()
+
+    expect(events.filter(event => event.type === 'setter:readonly-detected'))
+      .toEqual([expect.objectContaining({ property: 'total' })])
+    dispose()
+  })
+
+  it('should report unexpected observe errors', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    failingObserve.propertyName = 'coupon'
+
+    const { dispose, events } = createRecordedBridge(new CartStore())
+
+    const failure = events.find(event => event.type === 'observe:failed')
+    expect(failure).toMatchObject({ property: 'coupon' })
+    expect(failure.error.message).toBe('observer limit reached')
+    dispose()
+    warnSpy.mockRestore()
+  })
+
+  it('should trace events to the console with debug: true', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {})
+    const cart = new CartStore()
+    const { dispose } = createMobxBridge(cart, { debug: true })
+
+    cart.add('Pen')
+
+    const lines = logSpy.mock.calls.map(([format]) => format.replace(/%c/g, ''))
+    expect(lines[0]).toMatch(/^\[mobx-vue-bridge\] CartStore #\d+ bridge:created$/)
+    expect(lines[1]).toMatch(/^\[mobx-vue-bridge\] CartStore #\d+ sync:mobx-to-vue items\.1 \(add, \d+\.\d{2}ms\)$/)
+    expect(logSpy.mock.calls[1].slice(-3)).toEqual([[], '→', ['Pen']])
+    dispose()
+    logSpy.mockRestore()
+  })
+
+  it('should apply configureBridge() to every bridge', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {})
+    const onEvent = vi.fn()
+    const cart = new CartStore()
+    const { dispose } = createMobxBridge(cart)
+
+    configureBridge({ debug: true, onEvent })
+    runInAction(() => { cart.coupon = 'SAVE10' })
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'sync:mobx-to-vue', property: 'coupon' }))
+    expect(logSpy).toHaveBeenCalledTimes(1)
+
+    configureBridge({ debug: false, onEvent: null })
+    runInAction(() => { cart.coupon = '' })
+    expect(onEvent).toHaveBeenCalledTimes(1)
+    expect(logSpy).toHaveBeenCalledTimes(1)
+    dispose()
+    logSpy.mockRestore()
+  })
+
+  it('should keep syncing when a listener throws', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const cart = new CartStore()
+    const { state, dispose } = createMobxBridge(cart, {
+      onEvent: () => { throw new Error('listener failed') },
+    })
+
+    cart.add('Pen')
+
+    expect(state.items).toEqual(['Book', 'Pen'])
+    expect(warnSpy).toHaveBeenCalledWith('[mobx-vue-bridge] Bridge event listener threw:', expect.any(Error))
+    dispose()
+    warnSpy.mockRestore()
+  })
+})
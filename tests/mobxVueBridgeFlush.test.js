@@ -0,0 +1,215 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, observable, runInAction } from 'mobx'
+import { watch, nextTick } from 'vue'
+import { useMobxBridge, createMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for the flush option (when MobX → Vue updates are applied)
+ *
+ * 'sync' writes every change to Vue as it happens, 'batched' applies all changes of an
+ * outermost action together, 'pre' defers them to Vue's pre-flush.
+ */
+
+class CheckoutStore {
+  quantity = 1
+  price = 10
+  items = [{ id: 1, name: 'Pen' }]
+  coupon = null
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get total() {
+    return this.quantity * this.price
+  }
+
+  reprice(quantity, price) {
+    this.quantity = quantity
+    this.price = price
+  }
+}
+
+class CartStore {
+  count = 0
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+class ShopStore {
+  title = 'Shop'
+  cart = new CartStore()
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  checkout() {
+    this.title = 'Checked out'
+    this.cart.count = 0
+  }
+}
+
+// Records what a sync watcher sees of several bridged values at once
+const recordSnapshots = (read) => {
+  const snapshots = []
+  watch(read, (value) => snapshots.push(value), { flush: 'sync' })
+  return snapshots
+}
+
+describe('MobX-Vue Bridge - flush option', () => {
+  it('should apply every change immediately by default', () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store)
+    const snapshots = recordSnapshots(() => [state.quantity, state.price])
+
+    store.reprice(2, 20)
+
+    // The watcher saw the intermediate quantity=2, price=10
+    expect(snapshots).toEqual([[2, 10], [2, 20]])
+  })
+
+  it('should apply the changes of one action together with batched', () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'batched' })
+    const snapshots = recordSnapshots(() => [state.quantity, state.price, state.total])
+
+    store.reprice(2, 20)
+
+    expect(snapshots.at(-1)).toEqual([2, 20, 40])
+    expect(snapshots.every(([quantity, price]) => quantity === 2 && price === 20)).toBe(true)
+  })
+
+  it('should apply a write made outside of an action together with its getters', () => {
+    // MobX warns about writes to observed values outside of actions
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'batched' })
+    const snapshots = recordSnapshots(() => [state.quantity, state.total])
+
+    store.quantity = 5
+
+    expect(snapshots.at(-1)).toEqual([5, 50])
+    expect(snapshots.every(([quantity, total]) => total === quantity * 10)).toBe(true)
+    warnSpy.mockRestore()
+  })
+
+  it('should wait for the outermost action with batched', () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'batched' })
+    const seenInside = []
+
+    runInAction(() => {
+      store.reprice(3, 5)
+      seenInside.push(state.quantity)
+      store.quantity = 4
+    })
+
+    expect(seenInside).toEqual([1])
+    expect(state.quantity).toBe(4)
+    expect(state.total).toBe(20)
+  })
+
+  it('should replay nested changes of one action in order', () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'batched' })
+
+    runInAction(() => {
+      store.items.push({ id: 2, name: 'Ink' })
+      store.items[1].name = 'Blue ink'
+      store.items.unshift({ id: 0, name: 'Paper' })
+      store.items.splice(1, 1)
+    })
+
+    expect(state.items).toEqual([{ id: 0, name: 'Paper' }, { id: 2, name: 'Blue ink' }])
+  })
+
+  it('should not apply nested changes twice after the value was replaced in the same action', () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'batched' })
+
+    runInAction(() => {
+      store.items = [{ id: 5, name: 'Stapler' }]
+      store.items.push({ id: 6, name: 'Staples' })
+      store.coupon = { code: 'SAVE' }
+      store.coupon.code = 'SAVE10'
+    })
+
+    expect(state.items).toEqual([{ id: 5, name: 'Stapler' }, { id: 6, name: 'Staples' }])
+    expect(state.coupon).toEqual({ code: 'SAVE10' })
+  })
+
+  it('should update nested stores in the same batch as their parent', () => {
+    const shop = new ShopStore()
+    shop.cart.count = 3
+    const state = useMobxBridge(shop, { flush: 'batched' })
+    const snapshots = recordSnapshots(() => `${state.title}: ${state.cart.count}`)
+
+    shop.checkout()
+
+    expect(snapshots).toEqual(['Checked out: 0'])
+  })
+
+  it('should defer updates to the pre flush with pre', async () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'pre' })
+    const snapshots = recordSnapshots(() => [state.quantity, state.price])
+
+    store.reprice(2, 20)
+    runInAction(() => store.items.push({ id: 2, name: 'Ink' }))
+    expect(state.quantity).toBe(1)
+    expect(state.items).toHaveLength(1)
+
+    await nextTick()
+    expect(snapshots.at(-1)).toEqual([2, 20])
+    expect(state.total).toBe(40)
+    expect(state.items).toHaveLength(2)
+  })
+
+  it('should apply top-level collection changes after the action', () => {
+    const todos = observable(['a'])
+    const items = useMobxBridge(todos, { flush: 'batched' })
+    const lengthsInside = []
+
+    runInAction(() => {
+      todos.push('b')
+      todos.push('c')
+      lengthsInside.push(items.length)
+    })
+
+    expect(lengthsInside).toEqual([1])
+    expect(items).toEqual(['a', 'b', 'c'])
+  })
+
+  it('should apply ref values before nested patches', () => {
+    const store = new CheckoutStore()
+    const state = useMobxBridge(store, { flush: 'batched' })
+    const seenByItemWatcher = []
+    watch(() => state.items.length, () => seenByItemWatcher.push(state.total), { flush: 'sync' })
+
+    runInAction(() => {
+      store.items.push({ id: 2, name: 'Ink' })
+      store.reprice(3, 10)
+    })
+
+    expect(seenByItemWatcher).toEqual([30])
+  })
+
+  it('should drop queued updates when disposed', async () => {
+    const store = new CheckoutStore()
+    const { state, dispose } = createMobxBridge(store, { flush: 'pre' })
+
+    store.reprice(2, 20)
+    dispose()
+    await nextTick()
+
+    expect(state.quantity).toBe(1)
+  })
+
+  it('should reject unknown flush modes', () => {
+    expect(() => useMobxBridge(new CheckoutStore(), { flush: 'post' }))
+      .toThrow("useMobxBridge option 'flush' must be 'sync', 'batched' or 'pre'")
+  })
+})
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, autorun, runInAction, isObservableObject, isBoxedObservable, reaction } from 'mobx'
+import { ref, reactive, readonly, computed, watch, effectScope } from 'vue'
+import { fromVue } from '../src/mobxVueBridge'
+
+/**
+ * Tests for fromVue (Vue reactive state exposed as MobX observables)
+ */
+
+class PricePresenter {
+  amount = 10
+
+  constructor(settings) {
+    this.settings = settings
+    makeAutoObservable(this, { settings: false })
+  }
+
+  get label() {
+    return `${this.amount} ${this.settings.currency}`
+  }
+}
+
+describe('MobX-Vue Bridge - fromVue', () => {
+  it('should expose a ref as an observable box synced both ways', () => {
+    const count = ref(1)
+    const box = fromVue(count)
+    const seen = []
+    autorun(() => seen.push(box.get()))
+
+    expect(isBoxedObservable(box)).toBe(true)
+
+    count.value = 2
+    expect(seen).toEqual([1, 2])
+
+    runInAction(() => box.set(3))
+    expect(count.value).toBe(3)
+    expect(seen).toEqual([1, 2, 3])
+  })
+
+  it('should sync nested changes of ref values', () => {
+    const user = ref({ name: 'Ada', tags: ['admin'] })
+    const box = fromVue(user)
+
+    user.value.tags.push('editor')
+    expect(box.get().tags.slice()).toEqual(['admin', 'editor'])
+
+    runInAction(() => { box.get().name = 'Grace' })
+    expect(user.value.name).toBe('Grace')
+  })
+
+  it('should let MobX computeds depend on reactive objects', () => {
+    const settings = reactive({ currency: 'EUR', format: () => '' })
+    const presenter = new PricePresenter(fromVue(settings))
+    const labels = []
+    reaction(() => presenter.label, label => labels.push(label))
+
+    settings.currency = 'USD'
+
+    expect(presenter.label).toBe('10 USD')
+    expect(labels).toEqual(['10 USD'])
+  })
+
+  it('should sync reactive objects key by key in both directions', () => {
+    const state = reactive({ filter: 'all', page: 1, $internal: 1, _private: 2 })
+    const mobxState = fromVue(state)
+    const pageChanges = []
+    watch(() => state.page, page => pageChanges.push(page), { flush: 'sync' })
+
+    expect(isObservableObject(mobxState)).toBe(true)
+    expect(Object.keys(mobxState)).toEqual(['filter', 'page'])
+
+    runInAction(() => { mobxState.filter = 'done' })
+    expect(state.filter).toBe('done')
+    expect(pageChanges).toEqual([])
+
+    state.sort = 'asc'
+    expect(mobxState.sort).toBe('asc')
+
+    delete state.sort
+    expect('sort' in mobxState).toBe(false)
+
+    runInAction(() => { mobxState.extra = true })
+    expect(state.extra).toBe(true)
+  })
+
+  it('should not echo changes back to their origin', () => {
+    const state = reactive({ count: 0 })
+    const mobxState = fromVue(state)
+    const vueWrites = vi.fn()
+    const mobxWrites = vi.fn()
+    watch(() => state.count, vueWrites, { flush: 'sync' })
+    reaction(() => mobxState.count, mobxWrites)
+
+    state.count = 1
+    runInAction(() => { mobxState.count = 2 })
+
+    expect(vueWrites).toHaveBeenCalledTimes(2)
+    expect(mobxWrites).toHaveBeenCalledTimes(2)
+    expect(state.count).toBe(2)
+  })
+
+  it('should only sync read-only sources from Vue to MobX', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const source = reactive({ count: 1 })
+    const doubled = computed(() => source.count * 2)
+    const box = fromVue(doubled)
+    const mobxState = fromVue(readonly(source))
+
+    source.count = 2
+    expect(box.get()).toBe(4)
+    expect(mobxState.count).toBe(2)
+
+    runInAction(() => { mobxState.count = 5 })
+    expect(source.count).toBe(2)
+    expect(warnSpy).not.toHaveBeenCalled()
+    warnSpy.mockRestore()
+  })
+
+  it('should dispose with the effect scope or $dispose', () => {
+    const scope = effectScope()
+    const first = ref(1)
+    const second = reactive({ count: 1 })
+    const box = scope.run(() => fromVue(first))
+    const mobxState = fromVue(second)
+
+    scope.stop()
+    mobxState.$dispose()
+    first.value = 2
+    second.count = 2
+
+    expect(box.get()).toBe(1)
+    expect(mobxState.count).toBe(1)
+  })
+
+  it('should reject values that are not Vue state', () => {
+    expect(() => fromVue({ count: 1 })).toThrow('fromVue requires a Vue ref or reactive object')
+  })
+})
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, observable, runInAction } from 'mobx'
+import { watch } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for incremental MobX → Vue patching of nested values
+ *
+ * Nested changes reported by deepObserve are applied at their path on the Vue side
+ * (splice, update, add, delete) instead of re-cloning the whole value.
+ */
+
+class BoardStore {
+  columns = {
+    todo: { title: 'To do', cards: [{ id: 1, text: 'Write tests' }] },
+    done: { title: 'Done', cards: [] },
+  }
+  labels = observable.map({ bug: { color: 'red' } })
+  settings = { 'layout/mode': { value: 'grid' }, layout: { mode: { value: 'list' } } }
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+describe('MobX-Vue Bridge - Incremental Nested Sync', () => {
+  it('should apply array splices at the reported path', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    runInAction(() => {
+      store.columns.todo.cards.push({ id: 2, text: 'Ship' })
+      store.columns.todo.cards.unshift({ id: 0, text: 'Plan' })
+    })
+    expect(state.columns.todo.cards.map(card => card.id)).toEqual([0, 1, 2])
+
+    runInAction(() => store.columns.todo.cards.splice(1, 1))
+    expect(state.columns.todo.cards.map(card => card.id)).toEqual([0, 2])
+  })
+
+  it('should patch pushed objects instead of resyncing the whole value', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+    const onReplaced = vi.fn()
+    // Only fires when the whole Vue-side value is replaced, i.e. on a full resync
+    watch(() => state.columns, onReplaced, { flush: 'sync' })
+
+    runInAction(() => {
+      store.columns.todo.cards.push({ id: 2, text: 'Ship' }, { id: 3, text: 'Celebrate' })
+    })
+
+    expect(onReplaced).not.toHaveBeenCalled()
+    expect(state.columns.todo.cards.map(card => card.id)).toEqual([1, 2, 3])
+  })
+
+  it('should apply array index updates', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    runInAction(() => {
+      store.columns.todo.cards[0] = { id: 9, text: 'Replaced' }
+    })
+    expect(state.columns.todo.cards[0]).toEqual({ id: 9, text: 'Replaced' })
+  })
+
+  it('should apply object additions, updates and removals', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    runInAction(() => {
+      store.columns.review = { title: 'Review', cards: [] }
+      store.columns.todo.title = 'Backlog'
+    })
+    expect(state.columns.review).toEqual({ title: 'Review', cards: [] })
+    expect(state.columns.todo.title).toBe('Backlog')
+
+    runInAction(() => {
+      delete store.columns.done
+    })
+    expect(Object.keys(state.columns)).toEqual(['todo', 'review'])
+  })
+
+  it('should keep patching values added after the bridge was created', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    runInAction(() => {
+      store.columns.review = { title: 'Review', cards: [] }
+    })
+    runInAction(() => {
+      store.columns.review.cards.push({ id: 5, text: 'Check PR' })
+    })
+    expect(state.columns.review.cards).toEqual([{ id: 5, text: 'Check PR' }])
+  })
+
+  it('should apply observable map changes', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    runInAction(() => {
+      store.labels.set('feature', { color: 'green' })
+      store.labels.get('bug').color = 'orange'
+      store.labels.delete('missing')
+    })
+    expect(state.labels.get('feature')).toEqual({ color: 'green' })
+    expect(state.labels.get('bug')).toEqual({ color: 'orange' })
+
+    runInAction(() => store.labels.delete('feature'))
+    expect(state.labels.has('feature')).toBe(false)
+  })
+
+  it('should fall back to a full resync when keys make the path ambiguous', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    // Reported path is "layout/mode", which would also resolve to settings.layout.mode
+    runInAction(() => {
+      store.settings['layout/mode'].value = 'compact'
+    })
+    expect(state.settings['layout/mode'].value).toBe('compact')
+    expect(state.settings.layout.mode.value).toBe('list')
+  })
+
+  it('should only trigger Vue watchers of the patched branch', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+    const todoTitles = []
+    const doneCounts = []
+
+    watch(() => state.columns.todo.title, (title) => todoTitles.push(title), { flush: 'sync' })
+    watch(() => state.columns.done.cards.length, (count) => doneCounts.push(count), { flush: 'sync' })
+
+    runInAction(() => store.columns.done.cards.push({ id: 3, text: 'Released' }))
+
+    expect(doneCounts).toEqual([1])
+    expect(todoTitles).toEqual([])
+  })
+
+  it('should keep the Vue value equal to the MobX value after many changes', () => {
+    const store = new BoardStore()
+    const state = useMobxBridge(store)
+
+    runInAction(() => {
+      for (let i = 0; i < 20; i++) {
+        store.columns.todo.cards.push({ id: 100 + i, text: `Card ${i}` })
+      }
+      store.columns.todo.cards.splice(3, 5)
+      store.columns.todo.cards.reverse()
+      store.columns.done.cards.push(...store.columns.todo.cards.slice(0, 2).map(card => ({ ...card })))
+    })
+
+    expect(JSON.parse(JSON.stringify(state.columns))).toEqual(JSON.parse(JSON.stringify(store.columns)))
+  })
+})
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest'
+import { makeObservable, observable, computed, action, override } from 'mobx'
+import { useMobxBridge } from '../src/mobxVueBridge'
+import { categorizeMobxMembers } from '../src/utils/memberDetection'
+
+/**
+ * Tests for presenters built from class hierarchies
+ *
+ * Member detection must walk the whole prototype chain (excluding Object.prototype)
+ * so getters, setters and methods declared on grandparent classes are bridged, and
+ * the most-derived definition of an overridden member wins.
+ */
+
+class BaseStore {
+  loading = false
+  errors = []
+
+  constructor() {
+    makeObservable(this, {
+      loading: observable,
+      errors: observable,
+      isBusy: computed,
+      hasErrors: computed,
+      setLoading: action,
+      addError: action,
+    })
+  }
+
+  get isBusy() {
+    return this.loading
+  }
+
+  get hasErrors() {
+    return this.errors.length > 0
+  }
+
+  setLoading(value) {
+    this.loading = value
+  }
+
+  addError(message) {
+    this.errors.push(message)
+  }
+
+  describe() {
+    return 'base'
+  }
+}
+
+class BasePresenter extends BaseStore {
+  query = ''
+
+  constructor() {
+    super()
+    makeObservable(this, {
+      query: observable,
+      title: computed,
+      searchTerm: computed,
+      clearQuery: action,
+    })
+  }
+
+  get title() {
+    return 'Base title'
+  }
+
+  get searchTerm() {
+    return this.query
+  }
+
+  set searchTerm(value) {
+    this.query = value.trim()
+  }
+
+  clearQuery() {
+    this.query = ''
+  }
+
+  describe() {
+    return 'presenter'
+  }
+}
+
+class DashboardPresenter extends BasePresenter {
+  widgets = ['sales']
+
+  constructor() {
+    super()
+    makeObservable(this, {
+      widgets: observable,
+      title: override,
+      widgetCount: computed,
+      addWidget: action,
+    })
+  }
+
+  get title() {
+    return `Dashboard (${this.widgets.length})`
+  }
+
+  get widgetCount() {
+    return this.widgets.length
+  }
+
+  addWidget(name) {
+    this.widgets.push(name)
+  }
+}
+
+describe('MobX-Vue Bridge - Class Hierarchies', () => {
+  it('should detect members declared on every level of a three-level hierarchy', () => {
+    const members = categorizeMobxMembers(new DashboardPresenter())
+
+    expect(members.properties).toEqual(expect.arrayContaining(['loading', 'errors', 'query', 'widgets']))
+    expect(members.getters).toEqual(expect.arrayContaining(['isBusy', 'hasErrors', 'title', 'searchTerm', 'widgetCount']))
+    // MobX-installed computeds also expose a (throwing) setter; read-only ones are detected lazily on write
+    expect(members.setters).toContain('searchTerm')
+    expect(members.methods).toEqual(expect.arrayContaining(['setLoading', 'addError', 'describe', 'clearQuery', 'addWidget']))
+  })
+
+  it('should list each member only once', () => {
+    const members = categorizeMobxMembers(new DashboardPresenter())
+    const all = [...members.getters, ...members.properties, ...members.methods]
+
+    expect(new Set(all).size).toBe(all.length)
+  })
+
+  it('should not bridge members of Object.prototype', () => {
+    const members = categorizeMobxMembers(new DashboardPresenter())
+
+    expect(members.methods).not.toContain('toString')
+    expect(members.methods).not.toContain('hasOwnProperty')
+    expect(members.methods).not.toContain('constructor')
+  })
+
+  it('should call grandparent methods bound to the presenter', () => {
+    const presenter = new DashboardPresenter()
+    const state = useMobxBridge(presenter)
+
+    state.setLoading(true)
+    expect(presenter.loading).toBe(true)
+    expect(state.isBusy).toBe(true)
+
+    state.addError('Network down')
+    expect(state.hasErrors).toBe(true)
+    expect(state.errors).toEqual(['Network down'])
+  })
+
+  it('should use the most-derived definition of overridden getters and methods', () => {
+    const presenter = new DashboardPresenter()
+    const state = useMobxBridge(presenter)
+
+    expect(state.title).toBe('Dashboard (1)')
+    expect(state.describe()).toBe('presenter')
+
+    state.addWidget('traffic')
+    expect(state.title).toBe('Dashboard (2)')
+    expect(state.widgetCount).toBe(2)
+  })
+
+  it('should keep setters declared on a parent class writable', () => {
+    const presenter = new DashboardPresenter()
+    const state = useMobxBridge(presenter)
+
+    state.searchTerm = '  revenue  '
+    expect(presenter.query).toBe('revenue')
+    expect(state.searchTerm).toBe('revenue')
+
+    state.clearQuery()
+    expect(state.searchTerm).toBe('')
+  })
+
+  it('should keep inherited getters without setters read-only', () => {
+    const state = useMobxBridge(new DashboardPresenter())
+
+    expect(() => {
+      state.hasErrors = true
+    }).toThrow("Cannot assign to computed property 'hasErrors'")
+  })
+})
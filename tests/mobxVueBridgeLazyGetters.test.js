@@ -0,0 +1,233 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable } from 'mobx'
+import { effectScope, watch, computed, ref, defineComponent, h, nextTick } from 'vue'
+import { useMobxBridge, createMobxBridge } from '../src/mobxVueBridge'
+import { createApp, textOf } from './helpers/renderer'
+
+/**
+ * Tests for lazy getter bridging (lazyGetters: true)
+ *
+ * Getters are only evaluated and observed while a Vue effect reads them, and the
+ * MobX reaction is disposed once no effect depends on them anymore.
+ */
+
+const createReportPresenter = (getterSpy) => {
+  class ReportPresenter {
+    rows = [1, 2, 3]
+    filter = 'all'
+
+    constructor() {
+      makeAutoObservable(this)
+    }
+
+    get total() {
+      getterSpy('total')
+      return this.rows.reduce((sum, row) => sum + row, 0)
+    }
+
+    get expensiveSummary() {
+      getterSpy('expensiveSummary')
+      return `${this.rows.length} rows`
+    }
+
+    get selectedFilter() {
+      return this.filter
+    }
+
+    set selectedFilter(value) {
+      this.filter = value
+    }
+
+    addRow(value) {
+      this.rows.push(value)
+    }
+  }
+
+  return new ReportPresenter()
+}
+
+describe('MobX-Vue Bridge - Lazy Getters', () => {
+  it('should not evaluate getters when the bridge is created', () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+
+    useMobxBridge(presenter, { lazyGetters: true })
+    presenter.addRow(4)
+
+    expect(getterSpy).not.toHaveBeenCalled()
+  })
+
+  it('should evaluate getters eagerly by default', () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+
+    useMobxBridge(presenter)
+
+    expect(getterSpy).toHaveBeenCalledWith('total')
+    expect(getterSpy).toHaveBeenCalledWith('expensiveSummary')
+  })
+
+  it('should subscribe when an effect scope reads the getter', () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+    const seen = []
+
+    const scope = effectScope()
+    scope.run(() => {
+      watch(() => state.total, (value) => seen.push(value), { flush: 'sync' })
+    })
+
+    presenter.addRow(4)
+    presenter.addRow(5)
+
+    expect(seen).toEqual([10, 15])
+    expect(getterSpy).not.toHaveBeenCalledWith('expensiveSummary')
+    scope.stop()
+  })
+
+  it('should dispose the reaction when the last consumer goes away', () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+
+    const first = effectScope()
+    const second = effectScope()
+    first.run(() => watch(() => state.total, () => {}, { flush: 'sync' }))
+    second.run(() => watch(() => state.total, () => {}, { flush: 'sync' }))
+
+    first.stop()
+    getterSpy.mockClear()
+    presenter.addRow(4)
+    expect(getterSpy).toHaveBeenCalledWith('total')
+
+    second.stop()
+    getterSpy.mockClear()
+    presenter.addRow(5)
+    expect(getterSpy).not.toHaveBeenCalled()
+  })
+
+  it('should resubscribe with a fresh value after all consumers were released', () => {
+    const presenter = createReportPresenter(() => {})
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+
+    const first = effectScope()
+    first.run(() => watch(() => state.total, () => {}, { flush: 'sync' }))
+    first.stop()
+
+    presenter.addRow(4)
+
+    const seen = []
+    const second = effectScope()
+    second.run(() => {
+      watch(() => state.total, (value) => seen.push(value), { immediate: true, flush: 'sync' })
+    })
+
+    expect(seen).toEqual([10])
+    second.stop()
+  })
+
+  it('should return the current value for reads outside of a component or scope', () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+
+    expect(state.total).toBe(6)
+    presenter.addRow(4)
+    expect(state.total).toBe(10)
+
+    getterSpy.mockClear()
+    presenter.addRow(5)
+    expect(getterSpy).not.toHaveBeenCalled()
+  })
+
+  it('should keep lazy getter/setter pairs writable', () => {
+    const presenter = createReportPresenter(() => {})
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+
+    state.selectedFilter = 'recent'
+    expect(presenter.filter).toBe('recent')
+    expect(state.selectedFilter).toBe('recent')
+  })
+
+  it('should stop observing when the bridge is disposed', () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+
+    const scope = effectScope()
+    scope.run(() => watch(() => state.total, () => {}, { flush: 'sync' }))
+
+    state.$dispose()
+    getterSpy.mockClear()
+    presenter.addRow(4)
+    expect(getterSpy).not.toHaveBeenCalled()
+    scope.stop()
+  })
+
+  it('should subscribe for mounted components and release on unmount', async () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+
+    const Report = defineComponent({
+      render: () => h('div', `Total: ${state.total}`),
+    })
+    const root = { tag: 'root', children: [], parent: null }
+    const app = createApp(Report)
+    app.mount(root)
+
+    expect(textOf(root)).toBe('Total: 6')
+    expect(getterSpy).not.toHaveBeenCalledWith('expensiveSummary')
+
+    presenter.addRow(4)
+    await nextTick()
+    expect(textOf(root)).toBe('Total: 10')
+
+    app.unmount()
+    getterSpy.mockClear()
+    presenter.addRow(5)
+    expect(getterSpy).not.toHaveBeenCalled()
+  })
+
+  it('should keep computeds created outside of a scope up to date', () => {
+    const presenter = createReportPresenter(() => {})
+    const { state, dispose } = createMobxBridge(presenter, { lazyGetters: true })
+    const label = computed(() => `Total: ${state.total}`)
+
+    expect(label.value).toBe('Total: 6')
+    presenter.addRow(4)
+    expect(label.value).toBe('Total: 10')
+    presenter.addRow(5)
+    expect(label.value).toBe('Total: 15')
+    dispose()
+  })
+
+  it('should release getters a mounted component stops reading', async () => {
+    const getterSpy = vi.fn()
+    const presenter = createReportPresenter(getterSpy)
+    const state = useMobxBridge(presenter, { lazyGetters: true })
+    const showSummary = ref(true)
+
+    const Report = defineComponent({
+      render: () => h('div', showSummary.value ? state.expensiveSummary : 'hidden'),
+    })
+    const root = { tag: 'root', children: [], parent: null }
+    const app = createApp(Report)
+    app.mount(root)
+    expect(textOf(root)).toBe('3 rows')
+
+    showSummary.value = false
+    await nextTick()
+    expect(textOf(root)).toBe('hidden')
+
+    getterSpy.mockClear()
+    presenter.addRow(4)
+    expect(getterSpy).not.toHaveBeenCalled()
+
+    showSummary.value = true
+    await nextTick()
+    expect(textOf(root)).toBe('4 rows')
+    app.unmount()
+  })
+})
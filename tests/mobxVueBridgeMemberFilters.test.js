@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable } from 'mobx'
+import { useMobxBridge } from '../src/mobxVueBridge'
+import { categorizeMobxMembers } from '../src/utils/memberDetection'
+
+/**
+ * Tests for the include / exclude member filters
+ *
+ * Large presenters expose many members a component never uses. Filtered members
+ * must be neither bridged nor subscribed to.
+ */
+
+const createDashboardPresenter = (getterSpy = () => {}) => {
+  class DashboardPresenter {
+    revenue = 100
+    visitors = 10
+    filter = 'all'
+
+    constructor() {
+      makeAutoObservable(this)
+    }
+
+    get revenuePerVisitor() {
+      getterSpy('revenuePerVisitor')
+      return this.revenue / this.visitors
+    }
+
+    get expensiveReport() {
+      getterSpy('expensiveReport')
+      return `${this.revenue} / ${this.visitors}`
+    }
+
+    get selectedFilter() {
+      return this.filter
+    }
+
+    set selectedFilter(value) {
+      this.filter = value
+    }
+
+    setRevenue(value) {
+      this.revenue = value
+    }
+
+    resetFilters() {
+      this.filter = 'all'
+    }
+  }
+
+  return new DashboardPresenter()
+}
+
+describe('MobX-Vue Bridge - Member Filters', () => {
+  it('should only bridge members listed in include', () => {
+    const presenter = createDashboardPresenter()
+    const state = useMobxBridge(presenter, { include: ['revenue', 'revenuePerVisitor', 'setRevenue'] })
+
+    expect(Object.keys(state).sort()).toEqual(['revenue', 'revenuePerVisitor', 'setRevenue'])
+    expect(state.revenuePerVisitor).toBe(10)
+
+    state.setRevenue(200)
+    expect(state.revenue).toBe(200)
+    expect(state.revenuePerVisitor).toBe(20)
+  })
+
+  it('should drop members listed in exclude', () => {
+    const presenter = createDashboardPresenter()
+    const state = useMobxBridge(presenter, { exclude: ['expensiveReport', 'resetFilters'] })
+
+    expect('expensiveReport' in state).toBe(false)
+    expect('resetFilters' in state).toBe(false)
+    expect(state.revenue).toBe(100)
+    expect(state.selectedFilter).toBe('all')
+  })
+
+  it('should accept RegExps and mixed arrays', () => {
+    const presenter = createDashboardPresenter()
+    const state = useMobxBridge(presenter, { include: [/^revenue/, 'visitors'] })
+
+    expect(Object.keys(state).sort()).toEqual(['revenue', 'revenuePerVisitor', 'visitors'])
+  })
+
+  it('should not be affected by the lastIndex of global RegExps', () => {
+    const presenter = createDashboardPresenter()
+    const state = useMobxBridge(presenter, { include: /revenue/g })
+
+    expect(Object.keys(state).sort()).toEqual(['revenue', 'revenuePerVisitor'])
+  })
+
+  it('should pass the member name and detected kind to predicates', () => {
+    const presenter = createDashboardPresenter()
+    const seen = {}
+    const state = useMobxBridge(presenter, {
+      include: (name, kind) => {
+        seen[name] = kind
+        return kind === 'property' || kind === 'method'
+      },
+    })
+
+    expect(seen).toEqual({
+      revenue: 'property',
+      visitors: 'property',
+      filter: 'property',
+      revenuePerVisitor: 'getter',
+      expensiveReport: 'getter',
+      selectedFilter: 'getter',
+      setRevenue: 'method',
+      resetFilters: 'method',
+    })
+    expect(Object.keys(state).sort()).toEqual(['filter', 'resetFilters', 'revenue', 'setRevenue', 'visitors'])
+  })
+
+  it('should keep both halves of a getter/setter pair together', () => {
+    const presenter = createDashboardPresenter()
+    const members = categorizeMobxMembers(presenter, { include: ['selectedFilter'] })
+
+    expect(members.getters).toContain('selectedFilter')
+    expect(members.setters).toContain('selectedFilter')
+    expect(members.properties).toEqual([])
+    expect(members.methods).toEqual([])
+
+    const state = useMobxBridge(presenter, { include: ['selectedFilter'] })
+    state.selectedFilter = 'active'
+    expect(presenter.filter).toBe('active')
+  })
+
+  it('should apply exclude after include', () => {
+    const presenter = createDashboardPresenter()
+    const state = useMobxBridge(presenter, { include: /^re/, exclude: 'resetFilters' })
+
+    expect(Object.keys(state).sort()).toEqual(['revenue', 'revenuePerVisitor'])
+  })
+
+  it('should not evaluate or subscribe to filtered getters', () => {
+    const getterSpy = vi.fn()
+    const presenter = createDashboardPresenter(getterSpy)
+    useMobxBridge(presenter, { exclude: ['expensiveReport'] })
+
+    presenter.setRevenue(500)
+
+    expect(getterSpy).toHaveBeenCalledWith('revenuePerVisitor')
+    expect(getterSpy).not.toHaveBeenCalledWith('expensiveReport')
+  })
+
+  it('should throw a clear error for unsupported filter values', () => {
+    const presenter = createDashboardPresenter()
+
+    expect(() => useMobxBridge(presenter, { include: [42] })).toThrow(/'include' must be/)
+    expect(() => useMobxBridge(presenter, { exclude: {} })).toThrow(/'exclude' must be/)
+  })
+})
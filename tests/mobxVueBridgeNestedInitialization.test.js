@@ -2,7 +2,8 @@ import { describe, it, expect, vi } from 'vitest'
 import { makeAutoObservable, makeObservable, observable, computed } from 'mobx'
 
 // Mock Vue's functions
-vi.mock('vue', () => ({
+vi.mock('vue', async (importOriginal) => ({
+  ...(await importOriginal()),
   reactive: vi.fn((obj) => new Proxy(obj, {
     get: (target, prop) => target[prop],
     set: (target, prop, value) => {
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, observe, spy } from 'mobx'
+import { deepObserve } from 'mobx-utils'
+import { nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for path-level Vue → MobX writes from the deep proxy
+ *
+ * Nested writes are recorded as path/operation patches and replayed onto the existing
+ * MobX observable in one action, instead of replacing the whole MobX tree.
+ */
+
+class TodoStore {
+  items = [
+    { id: 1, title: 'Write docs', done: false, tags: ['docs'] },
+    { id: 2, title: 'Fix bug', done: false, tags: [] },
+    { id: 3, title: 'Release', done: false, tags: [] },
+    { id: 4, title: 'Celebrate', done: false, tags: [] },
+  ]
+  user = { name: 'Ada', profile: { city: 'London', nickname: 'ada' } }
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+describe('MobX-Vue Bridge - Path-Level Nested Writes', () => {
+  it('should only mutate the written path in MobX', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+    const itemsBefore = store.items
+    const thirdItemBefore = store.items[3]
+
+    state.items[3].done = true
+    await nextTick()
+
+    expect(store.items[3].done).toBe(true)
+    expect(store.items).toBe(itemsBefore)
+    expect(store.items[3]).toBe(thirdItemBefore)
+  })
+
+  it('should keep nested observables held by other stores in sync', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+    const profileHeldElsewhere = store.user.profile
+
+    state.user.profile.city = 'Paris'
+    await nextTick()
+
+    expect(profileHeldElsewhere.city).toBe('Paris')
+    expect(store.user.profile).toBe(profileHeldElsewhere)
+  })
+
+  it('should not re-trigger observers of untouched branches', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+    const firstItemChanges = vi.fn()
+    const userChanges = vi.fn()
+    const disposeItem = observe(store.items[0], firstItemChanges)
+    const disposeUser = deepObserve(store.user, userChanges)
+
+    state.items[2].title = 'Release v2'
+    await nextTick()
+
+    expect(store.items[2].title).toBe('Release v2')
+    expect(firstItemChanges).not.toHaveBeenCalled()
+    expect(userChanges).not.toHaveBeenCalled()
+    disposeItem()
+    disposeUser()
+  })
+
+  it('should replay all patches of one tick inside a single action', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+    const actions = []
+    const disposeSpy = spy(event => {
+      if (event.type === 'action') actions.push(event.name)
+    })
+
+    state.items[0].done = true
+    state.items[1].done = true
+    state.user.name = 'Grace'
+    await nextTick()
+    disposeSpy()
+
+    expect(actions).toHaveLength(2) // one per bridged property
+    expect(store.items[0].done).toBe(true)
+    expect(store.items[1].done).toBe(true)
+    expect(store.user.name).toBe('Grace')
+  })
+
+  it('should apply multi-index array operations correctly', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+    const ids = () => store.items.map(item => item.id)
+
+    state.items.shift()
+    await nextTick()
+    expect(ids()).toEqual([2, 3, 4])
+
+    state.items.unshift({ id: 0, title: 'Plan', done: false, tags: [] })
+    await nextTick()
+    expect(ids()).toEqual([0, 2, 3, 4])
+
+    state.items.splice(1, 2, { id: 9, title: 'Refactor', done: false, tags: [] })
+    await nextTick()
+    expect(ids()).toEqual([0, 9, 4])
+
+    state.items.reverse()
+    await nextTick()
+    expect(ids()).toEqual([4, 9, 0])
+
+    state.items.sort((a, b) => a.id - b.id)
+    await nextTick()
+    expect(ids()).toEqual([0, 4, 9])
+
+    state.items.pop()
+    await nextTick()
+    expect(ids()).toEqual([0, 4])
+  })
+
+  it('should apply nested array mutations without touching siblings', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+    const secondItem = store.items[1]
+
+    state.items[0].tags.push('urgent')
+    await nextTick()
+
+    expect(store.items[0].tags).toEqual(['docs', 'urgent'])
+    expect(store.items[1]).toBe(secondItem)
+  })
+
+  it('should sync deleted object keys', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+
+    delete state.user.profile.nickname
+    await nextTick()
+
+    expect(Object.keys(store.user.profile)).toEqual(['city'])
+    expect(Object.keys(state.user.profile)).toEqual(['city'])
+  })
+
+  it('should fall back to a full sync for proxies held across a reorder', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+
+    const release = state.items[2]
+    state.items.shift()
+    await nextTick()
+
+    // 'release' was read at index 2 but now lives at index 1
+    release.done = true
+    await nextTick()
+
+    expect(store.items.map(item => item.done)).toEqual([false, true, false])
+    expect(store.items[1].title).toBe('Release')
+  })
+
+  it('should drop pending patches when the value is replaced from MobX', async () => {
+    const store = new TodoStore()
+    const state = useMobxBridge(store)
+
+    state.items[0].done = true
+    store.items = [{ id: 10, title: 'New list', done: false, tags: [] }]
+    await nextTick()
+
+    expect(store.items).toEqual([{ id: 10, title: 'New list', done: false, tags: [] }])
+    expect(state.items).toEqual([{ id: 10, title: 'New list', done: false, tags: [] }])
+  })
+
+  it('should report the full nested path when direct mutation is disabled', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const store = new TodoStore()
+    const state = useMobxBridge(store, { allowDirectMutation: false })
+
+    state.user.profile.city = 'Paris'
+    delete state.user.profile.nickname
+
+    expect(warnSpy).toHaveBeenCalledWith("Direct mutation of 'user.profile.city' is disabled")
+    expect(warnSpy).toHaveBeenCalledWith("Direct mutation of 'user.profile.nickname' is disabled")
+    expect(store.user.profile.nickname).toBe('ada')
+    warnSpy.mockRestore()
+  })
+})
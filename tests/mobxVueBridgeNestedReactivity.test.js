@@ -272,7 +272,7 @@ describe('MobX-Vue Bridge - Nested Mutation Reactivity', () => {
     expect(store.config.version).toBe(4);
   });
 
-  it('should verify clone creates new reference for Vue reactivity', async () => {
+  it('should keep the proxy reference stable across nested mutations', async () => {
     // Setup
     class RefStore {
       constructor() {
@@ -305,10 +305,10 @@ describe('MobX-Vue Bridge - Nested Mutation Reactivity', () => {
     expect(spy).toHaveBeenCalledTimes(2);
     expect(spy).toHaveBeenCalledWith('changed');
     
-    // Verify new reference was created (this is what the clone does)
+    // The nested write is patched in place, so the cached proxy is reused
     const newRef = state.data;
-    expect(newRef).not.toBe(initialRef); // Different reference
-    expect(newRef.value).toBe('changed'); // Same data
+    expect(newRef).toBe(initialRef); // Same reference
+    expect(newRef.value).toBe('changed'); // Updated data
     
     // Verify MobX is in sync
     expect(store.data.value).toBe('changed');
@@ -0,0 +1,233 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction, isObservableObject } from 'mobx'
+import { watch, nextTick } from 'vue'
+import { useMobxBridge, createMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for nested MobX stores bridged as live sub-bridges
+ *
+ * A property holding another store instance exposes that store's bridged state, so
+ * its getters stay live and its methods stay callable (nestedStores: 'live', default).
+ * nestedStores: 'snapshot' keeps the previous toJS behaviour.
+ */
+
+class CartStore {
+  items = []
+  discount = 0
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get total() {
+    return this.items.reduce((sum, item) => sum + item.price, 0) * (1 - this.discount)
+  }
+
+  addItem(item) {
+    this.items.push(item)
+  }
+
+  checkout() {
+    const total = this.total
+    this.items = []
+    return total
+  }
+}
+
+class ShopPresenter {
+  title = 'Shop'
+  cart = new CartStore()
+  wishlist = new CartStore()
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  replaceCart() {
+    this.cart = new CartStore()
+  }
+}
+
+describe('MobX-Vue Bridge - Nested Stores', () => {
+  it('should expose nested store methods and live getters', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter)
+
+    state.cart.addItem({ name: 'Book', price: 20 })
+    expect(state.cart.total).toBe(20)
+    expect(presenter.cart.items).toHaveLength(1)
+
+    runInAction(() => {
+      presenter.cart.discount = 0.5
+    })
+    expect(state.cart.total).toBe(10)
+
+    expect(state.cart.checkout()).toBe(10)
+    expect(state.cart.items).toEqual([])
+  })
+
+  it('should trigger Vue watchers for nested store getters', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter)
+    const totals = []
+
+    watch(() => state.cart.total, (total) => totals.push(total), { flush: 'sync' })
+    presenter.cart.addItem({ name: 'Pen', price: 5 })
+    presenter.cart.addItem({ name: 'Ink', price: 3 })
+
+    expect(totals).toEqual([5, 8])
+  })
+
+  it('should sync writes to nested store properties both ways', async () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter)
+
+    state.cart.discount = 0.25
+    expect(presenter.cart.discount).toBe(0.25)
+
+    state.cart.items.push({ name: 'Lamp', price: 40 })
+    await nextTick()
+    expect(presenter.cart.total).toBe(30)
+  })
+
+  it('should follow nested stores replaced in MobX', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter)
+    const oldCart = presenter.cart
+    const oldState = state.cart
+
+    presenter.replaceCart()
+    presenter.cart.addItem({ name: 'Mug', price: 12 })
+
+    expect(state.cart).not.toBe(oldState)
+    expect(state.cart.total).toBe(12)
+
+    // The replaced store's sub-bridge was released
+    const spy = vi.fn()
+    watch(() => oldState.items.length, spy, { flush: 'sync' })
+    oldCart.addItem({ name: 'Ghost', price: 1 })
+    expect(spy).not.toHaveBeenCalled()
+  })
+
+  it('should map bridged states assigned from Vue back to their store', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter)
+    const wishlist = presenter.wishlist
+
+    state.cart = state.wishlist
+
+    expect(presenter.cart).toBe(wishlist)
+    expect(state.cart).toBe(state.wishlist)
+  })
+
+  it('should link stores assigned later to a property that started empty', () => {
+    class CheckoutPresenter {
+      cart = null
+
+      constructor() {
+        makeAutoObservable(this)
+      }
+
+      openCart() {
+        this.cart = new CartStore()
+      }
+    }
+    const presenter = new CheckoutPresenter()
+    const state = useMobxBridge(presenter)
+    const totals = []
+    watch(() => state.cart?.total, (total) => totals.push(total), { flush: 'sync' })
+
+    presenter.openCart()
+    state.cart.addItem({ name: 'Book', price: 20 })
+
+    expect(presenter.cart.items).toHaveLength(1)
+    expect(state.cart.total).toBe(20)
+    expect(totals).toEqual([0, 20])
+
+    runInAction(() => { presenter.cart = null })
+    expect(state.cart).toBe(null)
+  })
+
+  it('should assign stores from Vue by reference to a property that started empty', () => {
+    class CheckoutPresenter {
+      cart = new CartStore()
+      selected = null
+
+      constructor() {
+        makeAutoObservable(this)
+      }
+    }
+    const presenter = new CheckoutPresenter()
+    const state = useMobxBridge(presenter)
+
+    state.selected = state.cart
+
+    expect(presenter.selected).toBe(presenter.cart)
+    expect(state.selected).toBe(state.cart)
+    state.selected.addItem({ name: 'Pen', price: 5 })
+    expect(state.cart.total).toBe(5)
+  })
+
+  it('should resolve cyclic references to the same state', () => {
+    class Team {
+      name = 'Core'
+      lead = null
+      constructor() {
+        makeAutoObservable(this)
+      }
+    }
+    class Member {
+      constructor(team) {
+        this.team = team
+        makeAutoObservable(this)
+      }
+      get teamName() {
+        return this.team.name
+      }
+    }
+    const team = new Team()
+    team.lead = new Member(team)
+
+    const { state, dispose } = createMobxBridge(team)
+
+    expect(state.lead.team).toBe(state)
+    expect(state.lead.teamName).toBe('Core')
+    dispose()
+  })
+
+  it('should keep snapshot behaviour per property', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter, { nestedStores: { wishlist: 'snapshot' } })
+
+    expect(typeof state.cart.addItem).toBe('function')
+    expect(state.wishlist.addItem).toBeUndefined()
+    expect(isObservableObject(state.wishlist)).toBe(false)
+    expect(state.wishlist).toEqual({ items: [], discount: 0 })
+  })
+
+  it('should snapshot every nested store with nestedStores: snapshot', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter, { nestedStores: 'snapshot' })
+
+    expect(state.cart).toEqual({ items: [], discount: 0 })
+    presenter.cart.addItem({ name: 'Book', price: 20 })
+    expect(state.cart.items).toEqual([{ name: 'Book', price: 20 }])
+  })
+
+  it('should stop all sub-bridges when the root is disposed', () => {
+    const presenter = new ShopPresenter()
+    const state = useMobxBridge(presenter)
+    const totals = []
+    watch(() => state.cart.total, (total) => totals.push(total), { flush: 'sync' })
+
+    state.$dispose()
+    presenter.cart.addItem({ name: 'Book', price: 20 })
+
+    expect(totals).toEqual([])
+  })
+
+  it('should reject unknown nestedStores modes', () => {
+    expect(() => useMobxBridge(new ShopPresenter(), { nestedStores: 'deep' }))
+      .toThrow("useMobxBridge option 'nestedStores' must be 'live', 'snapshot' or an object mapping property names to those")
+  })
+})
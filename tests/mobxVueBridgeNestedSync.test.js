@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, spy } from 'mobx'
+import { nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for nestedSync: 'sync' and unit-level array mutators
+ *
+ * In sync mode every nested write (and every array method call) reaches MobX before
+ * the statement returns. Array mutators are replayed as one method call in both modes.
+ */
+
+class QueueStore {
+  jobs = [
+    { id: 3, name: 'resize' },
+    { id: 1, name: 'upload' },
+    { id: 2, name: 'notify' },
+  ]
+  config = { retries: 1, backoff: { delay: 100 } }
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+const ids = (jobs) => jobs.map(job => job.id)
+
+describe('MobX-Vue Bridge - Synchronous Nested Writes', () => {
+  it('should apply nested writes to MobX immediately', () => {
+    const store = new QueueStore()
+    const state = useMobxBridge(store, { nestedSync: 'sync' })
+
+    state.config.backoff.delay = 250
+    expect(store.config.backoff.delay).toBe(250)
+
+    delete state.config.retries
+    expect('retries' in store.config).toBe(false)
+  })
+
+  it('should apply array mutators to MobX immediately', () => {
+    const store = new QueueStore()
+    const state = useMobxBridge(store, { nestedSync: 'sync' })
+
+    expect(state.jobs.push({ id: 4, name: 'archive' })).toBe(4)
+    expect(ids(store.jobs)).toEqual([3, 1, 2, 4])
+
+    expect(state.jobs.shift()).toEqual({ id: 3, name: 'resize' })
+    expect(ids(store.jobs)).toEqual([1, 2, 4])
+
+    state.jobs.splice(1, 1, { id: 5, name: 'retry' }, { id: 6, name: 'cleanup' })
+    expect(ids(store.jobs)).toEqual([1, 5, 6, 4])
+
+    state.jobs.sort((a, b) => b.id - a.id)
+    expect(ids(store.jobs)).toEqual([6, 5, 4, 1])
+    expect(ids(state.jobs)).toEqual([6, 5, 4, 1])
+  })
+
+  it('should replay each array mutator as a single action', () => {
+    const store = new QueueStore()
+    const state = useMobxBridge(store, { nestedSync: 'sync' })
+    const actions = []
+    const disposeSpy = spy(event => {
+      if (event.type === 'action') actions.push(event.name)
+    })
+
+    state.jobs.unshift({ id: 0, name: 'prepare' })
+    state.jobs.reverse()
+    disposeSpy()
+
+    expect(actions).toHaveLength(2)
+    expect(ids(store.jobs)).toEqual([2, 1, 3, 0])
+  })
+
+  it('should keep element observables when sorting', () => {
+    const store = new QueueStore()
+    const state = useMobxBridge(store, { nestedSync: 'sync' })
+    const upload = store.jobs[1]
+
+    state.jobs.sort((a, b) => a.id - b.id)
+
+    expect(store.jobs[0]).toBe(upload)
+  })
+
+  it('should return the proxy from sort and reverse for chaining', () => {
+    const store = new QueueStore()
+    const state = useMobxBridge(store, { nestedSync: 'sync' })
+
+    state.jobs.reverse().sort((a, b) => a.id - b.id)[0].name = 'upload v2'
+
+    expect(store.jobs[0].name).toBe('upload v2')
+  })
+
+  it('should still batch array mutators into one action per tick by default', async () => {
+    const store = new QueueStore()
+    const state = useMobxBridge(store)
+    const actions = []
+    const disposeSpy = spy(event => {
+      if (event.type === 'action') actions.push(event.name)
+    })
+
+    state.jobs.push({ id: 4, name: 'archive' })
+    state.jobs.shift()
+    expect(ids(store.jobs)).toEqual([3, 1, 2])
+
+    await nextTick()
+    disposeSpy()
+
+    expect(actions).toHaveLength(1)
+    expect(ids(store.jobs)).toEqual([1, 2, 4])
+  })
+
+  it('should warn once per blocked array mutator', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const store = new QueueStore()
+    const state = useMobxBridge(store, { allowDirectMutation: false, nestedSync: 'sync' })
+
+    state.jobs.push({ id: 4, name: 'archive' })
+
+    expect(warnSpy).toHaveBeenCalledTimes(1)
+    expect(warnSpy).toHaveBeenCalledWith("Direct mutation of 'jobs.push()' is disabled")
+    expect(state.jobs).toHaveLength(3)
+    expect(store.jobs).toHaveLength(3)
+    warnSpy.mockRestore()
+  })
+
+  it('should reject unknown nestedSync values', () => {
+    expect(() => useMobxBridge(new QueueStore(), { nestedSync: 'later' }))
+      .toThrow("useMobxBridge option 'nestedSync' must be 'microtask' or 'sync'")
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction, onBecomeUnobserved, configure } from 'mobx'
+import { h, nextTick, ref } from 'vue'
+import { observer, defineObserverComponent, useMobxBridge } from '../src/mobxVueBridge'
+import { createApp, textOf } from './helpers/renderer'
+
+/**
+ * Tests for observer components
+ *
+ * Render functions read MobX observables directly and re-render when they change,
+ * without copying values into Vue refs.
+ */
+
+const mount = (component, props) => {
+  const root = { tag: 'root', children: [], parent: null }
+  const app = createApp(component, props)
+  app.mount(root)
+  return { root, app }
+}
+
+class TodoPresenter {
+  items = ['Write docs']
+  filter = ''
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get visibleItems() {
+    return this.items.filter(item => item.includes(this.filter))
+  }
+
+  add(item) {
+    this.items.push(item)
+  }
+}
+
+describe('MobX-Vue Bridge - observer components', () => {
+  it('should re-render options components that read MobX directly', async () => {
+    const presenter = new TodoPresenter()
+    const TodoList = observer({
+      props: ['presenter'],
+      render() {
+        return h('ul', this.presenter.visibleItems.map(item => h('li', item)))
+      },
+    })
+    const { root, app } = mount(TodoList, { presenter })
+
+    expect(textOf(root)).toBe('Write docs')
+
+    presenter.add('Release')
+    await nextTick()
+    expect(textOf(root)).toBe('Write docsRelease')
+
+    runInAction(() => { presenter.filter = 'Rel' })
+    await nextTick()
+    expect(textOf(root)).toBe('Release')
+    app.unmount()
+  })
+
+  it('should observe render functions returned from setup', async () => {
+    const presenter = new TodoPresenter()
+    const Count = defineObserverComponent(() => () => h('span', `${presenter.items.length} items`))
+    const { root, app } = mount(Count)
+
+    presenter.add('Release')
+    await nextTick()
+
+    expect(textOf(root)).toBe('2 items')
+    app.unmount()
+  })
+
+  it('should observe functional components', async () => {
+    const presenter = new TodoPresenter()
+    const First = observer((props) => h('b', props.presenter.items[0]))
+    First.props = ['presenter']
+    const { root, app } = mount(First, { presenter })
+
+    runInAction(() => { presenter.items[0] = 'Plan' })
+    await nextTick()
+
+    expect(textOf(root)).toBe('Plan')
+    app.unmount()
+  })
+
+  it('should batch MobX changes into one re-render', async () => {
+    const presenter = new TodoPresenter()
+    const render = vi.fn(() => h('span', presenter.items.join(',')))
+    const { app } = mount(observer({ render }))
+
+    presenter.add('a')
+    presenter.add('b')
+    await nextTick()
+
+    expect(render).toHaveBeenCalledTimes(2)
+    app.unmount()
+  })
+
+  it('should coexist with Vue state and bridged state', async () => {
+    const presenter = new TodoPresenter()
+    const suffix = ref('!')
+    const Title = defineObserverComponent({
+      setup() {
+        const state = useMobxBridge(presenter)
+        return () => h('h1', `${presenter.items.length}/${state.visibleItems.length}${suffix.value}`)
+      },
+    })
+    const { root, app } = mount(Title)
+
+    suffix.value = '?'
+    await nextTick()
+    expect(textOf(root)).toBe('1/1?')
+
+    presenter.add('Release')
+    await nextTick()
+    expect(textOf(root)).toBe('2/2?')
+    app.unmount()
+  })
+
+  it('should dispose the render reaction on unmount', async () => {
+    const presenter = new TodoPresenter()
+    const unobserved = vi.fn()
+    onBecomeUnobserved(presenter, 'items', unobserved)
+    const render = vi.fn(() => h('span', presenter.items.length))
+    const { app } = mount(observer({ render }))
+
+    app.unmount()
+    presenter.add('Release')
+    await nextTick()
+
+    expect(unobserved).toHaveBeenCalledTimes(1)
+    expect(render).toHaveBeenCalledTimes(1)
+  })
+
+  it('should rethrow render errors', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const Broken = observer({
+      render() {
+        throw new Error('render failed')
+      },
+    })
+    const app = createApp(Broken)
+    const handler = vi.fn()
+    app.config.errorHandler = handler
+
+    app.mount({ tag: 'root', children: [], parent: null })
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ message: 'render failed' }), expect.anything(), expect.anything())
+    warnSpy.mockRestore()
+  })
+
+  it('should satisfy observableRequiresReaction', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    configure({ observableRequiresReaction: true })
+    try {
+      const presenter = new TodoPresenter()
+      const { app } = mount(observer({ render: () => h('span', presenter.items.length) }))
+
+      expect(warnSpy).not.toHaveBeenCalled()
+      app.unmount()
+    } finally {
+      configure({ observableRequiresReaction: false })
+      warnSpy.mockRestore()
+    }
+  })
+
+  it('should reject invalid components', () => {
+    expect(() => observer(null)).toThrow('observer requires a component options object or a functional component')
+  })
+})
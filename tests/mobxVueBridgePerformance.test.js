@@ -2,7 +2,8 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { makeAutoObservable } from 'mobx'
 
 // Mock Vue imports
-vi.mock('vue', () => ({
+vi.mock('vue', async (importOriginal) => ({
+  ...(await importOriginal()),
   reactive: (obj) => obj,
   ref: (value) => ({ value }),
   onMounted: (fn) => fn(),
@@ -51,6 +52,44 @@ describe('MobX-Vue Bridge - Performance & Memory Tests', () => {
     expect(Object.keys(state.largeObject)).toHaveLength(1000)
   })
 
+  it('should patch nested changes into large arrays without resyncing the whole tree', () => {
+    class TableStore {
+      rows = Array.from({ length: 10000 }, (_, i) => ({ id: i, name: `Row ${i}`, done: false }))
+      
+      constructor() {
+        makeAutoObservable(this)
+      }
+      
+      addRow(row) {
+        this.rows.push(row)
+      }
+      
+      toggleRow(index) {
+        this.rows[index].done = !this.rows[index].done
+      }
+    }
+    
+    const presenter = new TableStore()
+
+    const state = useMobxBridge(presenter)
+    
+    const start = performance.now()
+    for (let i = 0; i < 50; i++) {
+      presenter.addRow({ id: 10000 + i, name: `Row ${10000 + i}`, done: false })
+    }
+    for (let i = 0; i < 50; i++) {
+      presenter.toggleRow(i)
+    }
+    const end = performance.now()
+    
+    // A full toJS + isEqual of 10k rows per change took several seconds for these 100 changes
+    expect(end - start).toBeLessThan(500)
+    expect(state.rows).toHaveLength(10050)
+    expect(state.rows[10049]).toEqual({ id: 10049, name: 'Row 10049', done: false })
+    expect(state.rows[0].done).toBe(true)
+    expect(state.rows[50].done).toBe(false)
+  })
+
   it('should not create memory leaks with proxy objects', () => {
     class NestedProxyStore {
       nestedData = { level1: { level2: { value: 'test' } } }
@@ -69,17 +108,15 @@ describe('MobX-Vue Bridge - Performance & Memory Tests', () => {
     const proxy2 = state.nestedData
     const proxy3 = state.nestedData
     
-    // Test that proxies work functionally (even if they're different instances)
+    // Test that proxies work functionally
     expect(proxy1.level1.level2.value).toBe('test')
     expect(proxy2.level1.level2.value).toBe('test')
     expect(proxy3.level1.level2.value).toBe('test')
     
-    // Document current behavior: proxies are created fresh each time
-    // This is a known limitation that could cause memory leaks in heavy usage
-    // In a future improvement, proxies should be cached/reused
-    expect(typeof proxy1).toBe('object')
-    expect(typeof proxy2).toBe('object')
-    expect(typeof proxy3).toBe('object')
+    // Proxies are cached per underlying object, so repeated reads don't allocate
+    expect(proxy2).toBe(proxy1)
+    expect(proxy3).toBe(proxy1)
+    expect(proxy1.level1).toBe(proxy2.level1)
   })
 
   it('should handle rapid property updates efficiently', () => {
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { defineComponent, h, nextTick, ref } from 'vue'
+import { MobxBridgePlugin, useStore, injectBridge } from '../src/mobxVueBridge'
+import { createApp, textOf } from './helpers/renderer'
+
+/**
+ * Tests for MobxBridgePlugin, useStore and injectBridge
+ *
+ * A per-app registry of lazily constructed stores whose bridged state is shared by all
+ * components of the app and disposed on app.unmount().
+ */
+
+class CartStore {
+  items = []
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get count() {
+    return this.items.length
+  }
+
+  add(item) {
+    this.items.push(item)
+  }
+}
+
+class SessionStore {
+  user = 'guest'
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+// Mounts a root rendering the given setup functions as sibling components
+const mountApp = (pluginOptions, ...setups) => {
+  const results = []
+  const children = setups.map((setup, index) => defineComponent({
+    setup() {
+      results[index] = setup()
+      return () => h('span', String(results[index].count ?? results[index].user))
+    },
+  }))
+  const app = createApp({ render: () => h('div', children.map(child => h(child))) })
+  app.use(MobxBridgePlugin, pluginOptions)
+  const container = { tag: 'root', children: [], parent: null }
+  app.mount(container)
+  return { app, container, results }
+}
+
+describe('MobX-Vue Bridge - MobxBridgePlugin', () => {
+  it('should share one lazily constructed store between components', async () => {
+    const factory = vi.fn(() => new CartStore())
+    const { app, container, results } = mountApp(
+      { stores: { cart: factory, session: () => new SessionStore() } },
+      () => useStore('cart'),
+      () => useStore('cart'),
+    )
+
+    expect(factory).toHaveBeenCalledTimes(1)
+    expect(results[0]).toBe(results[1])
+
+    results[0].add('Book')
+    await nextTick()
+    expect(textOf(container)).toBe('11')
+    app.unmount()
+  })
+
+  it('should resolve stores by class', () => {
+    const { app, results } = mountApp(
+      { stores: { session: SessionStore } },
+      () => useStore('session'),
+      () => injectBridge(SessionStore),
+      () => injectBridge(CartStore),
+      () => injectBridge(CartStore),
+    )
+
+    expect(results[1]).toBe(results[0])
+    expect(results[2].count).toBe(0)
+    expect(results[3]).toBe(results[2])
+    app.unmount()
+  })
+
+  it('should construct separate stores per app', () => {
+    const stores = { cart: CartStore }
+    const first = mountApp({ stores }, () => useStore('cart'))
+    const second = mountApp({ stores }, () => useStore('cart'))
+
+    first.results[0].add('Book')
+
+    expect(first.results[0].count).toBe(1)
+    expect(second.results[0].count).toBe(0)
+    first.app.unmount()
+    second.app.unmount()
+  })
+
+  it('should dispose the bridges on app.unmount()', () => {
+    let cart
+    const { app, results } = mountApp(
+      { stores: { cart: () => (cart = new CartStore()) } },
+      () => useStore('cart'),
+    )
+    const state = results[0]
+
+    app.unmount()
+    runInAction(() => cart.add('Book'))
+
+    expect(state.items).toEqual([])
+  })
+
+  it('should keep syncing after the component that created a bridge unmounts', async () => {
+    let cart
+    const showFirst = ref(true)
+    const results = []
+    const CartCount = defineComponent({
+      props: { index: Number },
+      setup(props) {
+        results[props.index] = useStore('cart')
+        return () => h('span', String(results[props.index].count))
+      },
+    })
+    const app = createApp({
+      render: () => h('div', [showFirst.value ? h(CartCount, { index: 0 }) : null, h(CartCount, { index: 1 })]),
+    })
+    app.use(MobxBridgePlugin, {
+      stores: { cart: () => (cart = new CartStore()) },
+      bridgeOptions: { flush: 'pre' },
+    })
+    const container = { tag: 'root', children: [], parent: null }
+    app.mount(container)
+
+    showFirst.value = false
+    await nextTick()
+    runInAction(() => cart.add('Book'))
+    await nextTick()
+
+    expect(results[1].items).toEqual(['Book'])
+    expect(textOf(container)).toBe('1')
+    app.unmount()
+  })
+
+  it('should pass bridgeOptions to every store', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const { app, results } = mountApp(
+      { stores: { session: SessionStore }, bridgeOptions: { allowDirectMutation: false } },
+      () => useStore('session'),
+    )
+
+    results[0].user = 'ada'
+
+    expect(results[0].user).toBe('guest')
+    expect(warnSpy).toHaveBeenCalled()
+    warnSpy.mockRestore()
+    app.unmount()
+  })
+
+  it('should report unknown stores and missing installation', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(() => mountApp({ stores: {} }, () => useStore('cart')))
+      .toThrow("No store registered as 'cart' in MobxBridgePlugin")
+
+    const app = createApp({ setup: () => useStore('cart') })
+    expect(() => app.mount({ tag: 'root', children: [], parent: null }))
+      .toThrow('useStore requires MobxBridgePlugin to be installed with app.use()')
+
+    expect(() => createApp({}).use(MobxBridgePlugin, { stores: { cart: new CartStore() } }))
+      .toThrow("MobxBridgePlugin store 'cart' must be a class or a factory function")
+    warnSpy.mockRestore()
+  })
+})
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { isReactive, nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for the preserveInstances option
+ *
+ * Value objects (Money, LatLng, ...) keep their prototype and private state through
+ * MobX → Vue and Vue → MobX syncing, either passed through by reference or copied
+ * with a registered clone function.
+ */
+
+class Money {
+  #cents
+
+  constructor(cents, currency = 'EUR') {
+    this.#cents = cents
+    this.currency = currency
+  }
+
+  get cents() {
+    return this.#cents
+  }
+
+  add(other) {
+    return new Money(this.#cents + other.cents, this.currency)
+  }
+
+  format() {
+    return `${(this.#cents / 100).toFixed(2)} ${this.currency}`
+  }
+}
+
+class LatLng {
+  constructor(lat, lng) {
+    this.lat = lat
+    this.lng = lng
+  }
+
+  toString() {
+    return `${this.lat},${this.lng}`
+  }
+}
+
+class OrderStore {
+  subtotal = new Money(1000)
+  shipping = new Money(500)
+  lines = [{ sku: 'A-1', price: new Money(250) }]
+  destination = new LatLng(52.52, 13.4)
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get total() {
+    return this.subtotal.add(this.shipping)
+  }
+}
+
+describe('MobX-Vue Bridge - Preserved Instances', () => {
+  it('should keep prototypes and private fields with preserveInstances: true', () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, { preserveInstances: true })
+
+    expect(state.subtotal).toBeInstanceOf(Money)
+    expect(state.subtotal.format()).toBe('10.00 EUR')
+    expect(state.total.format()).toBe('15.00 EUR')
+    expect(state.lines[0].price.format()).toBe('2.50 EUR')
+    expect(String(state.destination)).toBe('52.52,13.4')
+    expect(isReactive(state.subtotal)).toBe(false)
+  })
+
+  it('should pass preserved instances through by reference', () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, { preserveInstances: true })
+
+    expect(state.subtotal).toBe(store.subtotal)
+
+    const discounted = new Money(800)
+    state.subtotal = discounted
+    expect(store.subtotal).toBe(discounted)
+    expect(store.total.format()).toBe('13.00 EUR')
+  })
+
+  it('should update Vue when a preserved instance is replaced in MobX', () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, { preserveInstances: true })
+
+    runInAction(() => {
+      store.shipping = new Money(0)
+    })
+
+    expect(state.shipping.format()).toBe('0.00 EUR')
+    expect(state.total.format()).toBe('10.00 EUR')
+  })
+
+  it('should keep instances written into nested values', async () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, { preserveInstances: true })
+
+    state.lines.push({ sku: 'B-2', price: new Money(100) })
+    state.lines[0].price = new Money(300)
+    await nextTick()
+
+    expect(store.lines[1].price.format()).toBe('1.00 EUR')
+    expect(store.lines[0].price.format()).toBe('3.00 EUR')
+  })
+
+  it('should only preserve registered classes', () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, { preserveInstances: [Money] })
+
+    expect(state.subtotal.format()).toBe('10.00 EUR')
+    expect(state.destination).not.toBe(store.destination)
+    expect(isReactive(state.destination)).toBe(true)
+  })
+
+  it('should copy registered classes with their clone function', () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, {
+      preserveInstances: [{ type: LatLng, clone: (point) => new LatLng(point.lat, point.lng) }],
+    })
+
+    expect(state.destination).toBeInstanceOf(LatLng)
+    expect(state.destination).not.toBe(store.destination)
+
+    const berlin = new LatLng(52.5, 13.4)
+    state.destination = berlin
+    expect(store.destination).toBeInstanceOf(LatLng)
+    expect(store.destination).not.toBe(berlin)
+    expect(String(store.destination)).toBe('52.5,13.4')
+  })
+
+  it('should compare preserved instances by reference', () => {
+    const store = new OrderStore()
+    const state = useMobxBridge(store, { preserveInstances: true })
+
+    // Private state isn't visible to a key-by-key comparison
+    state.subtotal = new Money(1)
+    expect(store.subtotal.format()).toBe('0.01 EUR')
+  })
+
+  it('should reject invalid preserveInstances values', () => {
+    const message = "useMobxBridge option 'preserveInstances' must be true or an array of classes / { type, clone } entries"
+    expect(() => useMobxBridge(new OrderStore(), { preserveInstances: 'Money' })).toThrow(message)
+    expect(() => useMobxBridge(new OrderStore(), { preserveInstances: [{ clone: () => {} }] })).toThrow(message)
+  })
+})
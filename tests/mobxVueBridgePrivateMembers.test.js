@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { makeAutoObservable } from 'mobx'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for the configurable private-member convention (privatePattern)
+ *
+ * By default members starting with '_' are hidden. The convention can be changed to a
+ * different prefix, a RegExp or a predicate, or disabled entirely. In development,
+ * reading a filtered member warns instead of silently returning undefined.
+ */
+
+class SessionPresenter {
+  _token = 'secret'
+  $cache = { hits: 0 }
+  userName = 'Ada'
+  refreshInternal = 3
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get _maskedToken() {
+    return this._token.replace(/./g, '*')
+  }
+
+  get greeting() {
+    return `Hello ${this.userName}`
+  }
+
+  $reset() {
+    this.userName = ''
+  }
+}
+
+describe('MobX-Vue Bridge - Private Members', () => {
+  let warnSpy
+
+  beforeEach(() => {
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    warnSpy.mockRestore()
+  })
+
+  it('should hide underscore-prefixed members by default', () => {
+    const state = useMobxBridge(new SessionPresenter())
+
+    expect(Object.keys(state)).not.toContain('_token')
+    expect(Object.keys(state)).not.toContain('_maskedToken')
+    expect(Object.keys(state)).toContain('$cache')
+    expect(Object.keys(state)).toContain('refreshInternal')
+  })
+
+  it('should bridge private members when privatePattern is false', () => {
+    const presenter = new SessionPresenter()
+    const state = useMobxBridge(presenter, { privatePattern: false })
+
+    expect(state._token).toBe('secret')
+    expect(state._maskedToken).toBe('******')
+
+    state._token = 'rotated'
+    expect(presenter._token).toBe('rotated')
+  })
+
+  it('should accept a custom string prefix', () => {
+    const state = useMobxBridge(new SessionPresenter(), { privatePattern: '$' })
+
+    expect(Object.keys(state)).toContain('_token')
+    expect(Object.keys(state)).not.toContain('$cache')
+    expect(Object.keys(state)).not.toContain('$reset')
+  })
+
+  it('should accept a RegExp', () => {
+    const state = useMobxBridge(new SessionPresenter(), { privatePattern: /^[_$]|Internal$/ })
+
+    expect(Object.keys(state).sort()).toEqual(['greeting', 'userName'])
+  })
+
+  it('should accept a predicate', () => {
+    const state = useMobxBridge(new SessionPresenter(), {
+      privatePattern: (name) => name.endsWith('Internal'),
+    })
+
+    expect(Object.keys(state)).toContain('_token')
+    expect(Object.keys(state)).not.toContain('refreshInternal')
+  })
+
+  it('should throw for unsupported privatePattern values', () => {
+    expect(() => useMobxBridge(new SessionPresenter(), { privatePattern: 42 }))
+      .toThrow(/'privatePattern' must be/)
+  })
+
+  it('should warn once when reading a member hidden by privatePattern', () => {
+    const state = useMobxBridge(new SessionPresenter())
+
+    expect(state._token).toBeUndefined()
+    expect(state._token).toBeUndefined()
+
+    expect(warnSpy).toHaveBeenCalledTimes(1)
+    expect(warnSpy.mock.calls[0][0]).toContain("'_token' is not bridged")
+    expect(warnSpy.mock.calls[0][0]).toContain('privatePattern')
+  })
+
+  it('should warn when reading a member dropped by include / exclude', () => {
+    const state = useMobxBridge(new SessionPresenter(), { exclude: ['greeting'] })
+
+    expect(state.greeting).toBeUndefined()
+    expect(warnSpy.mock.calls[0][0]).toContain("'greeting' is not bridged")
+    expect(warnSpy.mock.calls[0][0]).toContain('include/exclude')
+  })
+
+  it('should not report filtered members as present', () => {
+    const state = useMobxBridge(new SessionPresenter())
+
+    expect('_token' in state).toBe(false)
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should not warn in production builds', () => {
+    vi.stubEnv('NODE_ENV', 'production')
+    try {
+      const state = useMobxBridge(new SessionPresenter())
+
+      expect(state._token).toBeUndefined()
+      expect(warnSpy).not.toHaveBeenCalled()
+    } finally {
+      vi.unstubAllEnvs()
+    }
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { watch, nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for stable deep proxy identity
+ *
+ * Repeated reads of a nested value return the same proxy until the value is replaced,
+ * so identity-based caches, keyed v-for and shallow watchers behave as expected.
+ */
+
+class ContactsStore {
+  user = { name: 'Ada', address: { city: 'London' } }
+  contacts = [
+    { id: 1, name: 'Grace' },
+    { id: 2, name: 'Alan' },
+    { id: 3, name: 'Barbara' },
+  ]
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+}
+
+describe('MobX-Vue Bridge - Proxy Identity', () => {
+  it('should return the same proxy for repeated reads', () => {
+    const state = useMobxBridge(new ContactsStore())
+
+    expect(state.user).toBe(state.user)
+    expect(state.user.address).toBe(state.user.address)
+    expect(state.contacts).toBe(state.contacts)
+    expect(state.contacts[0]).toBe(state.contacts[0])
+    expect(state.contacts.push).toBe(state.contacts.push)
+  })
+
+  it('should support identity-based caches', () => {
+    const state = useMobxBridge(new ContactsStore())
+    const selected = new WeakSet([state.contacts[1]])
+
+    expect(selected.has(state.contacts[1])).toBe(true)
+    expect(selected.has(state.contacts[0])).toBe(false)
+    expect(state.contacts.indexOf(state.contacts[2])).toBe(2)
+  })
+
+  it('should keep element identity when the array is reordered', async () => {
+    const store = new ContactsStore()
+    const state = useMobxBridge(store)
+    const alan = state.contacts[1]
+
+    state.contacts.shift()
+    await nextTick()
+
+    expect(state.contacts[0]).toBe(alan)
+  })
+
+  it('should write through a re-read proxy at its new position', async () => {
+    const store = new ContactsStore()
+    const state = useMobxBridge(store)
+    const barbara = store.contacts[2]
+
+    state.contacts[2] // cache the proxy at index 2
+    state.contacts.shift()
+    await nextTick()
+
+    state.contacts[1].name = 'Barbara L.'
+    await nextTick()
+
+    expect(store.contacts[1]).toBe(barbara)
+    expect(barbara.name).toBe('Barbara L.')
+  })
+
+  it('should return a new proxy once the value is replaced', () => {
+    const store = new ContactsStore()
+    const state = useMobxBridge(store)
+    const before = state.user
+
+    runInAction(() => {
+      store.user = { name: 'Grace', address: { city: 'New York' } }
+    })
+
+    expect(state.user).not.toBe(before)
+    expect(state.user).toBe(state.user)
+    expect(state.user.name).toBe('Grace')
+  })
+
+  it('should not trigger shallow watchers for unrelated reads', async () => {
+    const store = new ContactsStore()
+    const state = useMobxBridge(store)
+    const calls = []
+
+    watch(() => state.user, (user) => calls.push(user), { flush: 'sync' })
+    state.user.address.city
+    state.user.address.city = 'Paris'
+    await nextTick()
+
+    expect(calls).toEqual([])
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction } from 'mobx'
+import { effectScope, nextTick } from 'vue'
+import { useMobxBridge } from '../src/mobxVueBridge'
+
+/**
+ * Tests for the shared bridge cache
+ *
+ * Effect scopes bridging the same MobX object with equal options share one bridge,
+ * which is disposed when the last consuming scope is.
+ */
+
+class CartStore {
+  items = ['Book']
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get count() {
+    return this.items.length
+  }
+}
+
+const bridgeInScope = (store, options) => {
+  const scope = effectScope()
+  const state = scope.run(() => useMobxBridge(store, options))
+  return { state, scope }
+}
+
+describe('MobX-Vue Bridge - Shared Bridge Cache', () => {
+  it('should share one bridge between scopes', () => {
+    const cart = new CartStore()
+    const first = bridgeInScope(cart)
+    const second = bridgeInScope(cart, {})
+
+    expect(second.state).toBe(first.state)
+
+    runInAction(() => cart.items.push('Pen'))
+    expect(first.state.count).toBe(2)
+
+    first.scope.stop()
+    second.scope.stop()
+  })
+
+  it('should keep syncing until the last scope is disposed', () => {
+    const cart = new CartStore()
+    const first = bridgeInScope(cart)
+    const second = bridgeInScope(cart)
+
+    first.scope.stop()
+    runInAction(() => cart.items.push('Pen'))
+    expect(second.state.items).toEqual(['Book', 'Pen'])
+
+    second.scope.stop()
+    runInAction(() => cart.items.push('Lamp'))
+    expect(second.state.items).toEqual(['Book', 'Pen'])
+
+    // A new consumer gets a fresh bridge
+    const third = bridgeInScope(cart)
+    expect(third.state).not.toBe(second.state)
+    expect(third.state.items).toEqual(['Book', 'Pen', 'Lamp'])
+    third.scope.stop()
+  })
+
+  it('should keep scheduled syncs running after the creating scope is disposed', async () => {
+    const cart = new CartStore()
+    const first = bridgeInScope(cart, { flush: 'pre' })
+    const second = bridgeInScope(cart, { flush: 'pre' })
+
+    first.scope.stop()
+    runInAction(() => cart.items.push('Pen'))
+    await nextTick()
+
+    expect(second.state.items).toEqual(['Book', 'Pen'])
+    expect(second.state.count).toBe(2)
+    second.scope.stop()
+  })
+
+  it('should use the options as part of the cache key', () => {
+    const cart = new CartStore()
+    const isPublic = (name) => !name.startsWith('_')
+    const a = bridgeInScope(cart, { include: [/^it/, 'count'], exclude: isPublic })
+    const b = bridgeInScope(cart, { include: [/^it/, 'count'], exclude: isPublic, flush: undefined })
+    const c = bridgeInScope(cart, { include: [/^it/, 'count'], exclude: (name) => isPublic(name) })
+    const d = bridgeInScope(cart, { allowDirectMutation: false })
+
+    expect(b.state).toBe(a.state)
+    expect(c.state).not.toBe(a.state)
+    expect(d.state).not.toBe(a.state)
+    ;[a, b, c, d].forEach(({ scope }) => scope.stop())
+  })
+
+  it('should not share bridges created outside of a scope', () => {
+    const cart = new CartStore()
+    const first = useMobxBridge(cart)
+    const second = useMobxBridge(cart)
+
+    expect(second).not.toBe(first)
+
+    first.$dispose()
+    runInAction(() => cart.items.push('Pen'))
+    expect(second.items).toEqual(['Book', 'Pen'])
+    second.$dispose()
+  })
+
+  it('should tear the shared bridge down for everyone with $dispose()', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const cart = new CartStore()
+    const first = bridgeInScope(cart)
+    const second = bridgeInScope(cart)
+
+    first.state.$dispose()
+    runInAction(() => cart.items.push('Pen'))
+    expect(second.state.items).toEqual(['Book'])
+
+    const third = bridgeInScope(cart)
+    expect(third.state).not.toBe(first.state)
+    ;[first, second, third].forEach(({ scope }) => scope.stop())
+    expect(warnSpy).not.toHaveBeenCalled()
+    warnSpy.mockRestore()
+  })
+})
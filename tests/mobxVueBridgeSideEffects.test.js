@@ -0,0 +1,208 @@
+import { describe, it, expect, vi } from 'vitest'
+import { makeAutoObservable, runInAction, comparer } from 'mobx'
+import { effectScope, defineComponent, h, nextTick } from 'vue'
+import { useMobxBridge, useMobxReaction, useMobxAutorun } from '../src/mobxVueBridge'
+import { createApp, textOf } from './helpers/renderer'
+
+/**
+ * Tests for useMobxReaction and useMobxAutorun
+ *
+ * MobX side effects that are disposed with the Vue effect scope and can run in
+ * Vue's pre / post flush.
+ */
+
+class ChatStore {
+  messages = ['Hi']
+  draft = ''
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  send(message) {
+    this.messages.push(message)
+  }
+}
+
+describe('MobX-Vue Bridge - useMobxReaction', () => {
+  it('should run the effect synchronously by default', () => {
+    const chat = new ChatStore()
+    const effect = vi.fn()
+    useMobxReaction(() => chat.messages.length, effect)
+
+    chat.send('Hello')
+
+    expect(effect).toHaveBeenCalledTimes(1)
+    expect(effect.mock.calls[0].slice(0, 2)).toEqual([2, 1])
+  })
+
+  it('should pass fireImmediately, delay and equals to MobX', () => {
+    vi.useFakeTimers()
+    try {
+      const chat = new ChatStore()
+      const immediate = vi.fn()
+      const delayed = vi.fn()
+      const structural = vi.fn()
+      useMobxReaction(() => chat.messages.length, immediate, { fireImmediately: true })
+      useMobxReaction(() => chat.messages.length, delayed, { delay: 100 })
+      useMobxReaction(() => chat.messages.slice(), structural, { equals: comparer.structural })
+
+      expect(immediate).toHaveBeenCalledWith(1, undefined, expect.anything())
+
+      chat.send('a')
+      chat.send('b')
+      expect(delayed).not.toHaveBeenCalled()
+      vi.advanceTimersByTime(100)
+      expect(delayed).toHaveBeenCalledTimes(1)
+      expect(delayed.mock.calls[0][0]).toBe(3)
+
+      runInAction(() => chat.messages.replace(chat.messages.slice()))
+      expect(structural).toHaveBeenCalledTimes(2)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('should batch changes until the pre flush', async () => {
+    const chat = new ChatStore()
+    const effect = vi.fn()
+    useMobxReaction(() => chat.messages.length, effect, { flush: 'pre' })
+
+    chat.send('a')
+    chat.send('b')
+    expect(effect).not.toHaveBeenCalled()
+
+    await nextTick()
+    expect(effect).toHaveBeenCalledTimes(1)
+    expect(effect.mock.calls[0].slice(0, 2)).toEqual([3, 1])
+  })
+
+  it('should see the updated DOM with flush: post', async () => {
+    const chat = new ChatStore()
+    const renderedTexts = []
+
+    const ChatView = defineComponent({
+      setup() {
+        const state = useMobxBridge(chat)
+        const root = { value: null }
+        useMobxReaction(
+          () => chat.messages.length,
+          () => renderedTexts.push(textOf(root.value)),
+          { flush: 'post' }
+        )
+        return () => h('ul', { ref: (el) => { root.value = el } }, state.messages.map(m => h('li', m)))
+      },
+    })
+    const container = { tag: 'root', children: [], parent: null }
+    const app = createApp(ChatView)
+    app.mount(container)
+
+    chat.send('Hello')
+    await nextTick()
+
+    expect(renderedTexts).toEqual(['HiHello'])
+    app.unmount()
+  })
+
+  it('should dispose with the effect scope', async () => {
+    const chat = new ChatStore()
+    const effect = vi.fn()
+    const scope = effectScope()
+    scope.run(() => useMobxReaction(() => chat.messages.length, effect, { flush: 'pre' }))
+
+    chat.send('a')
+    scope.stop()
+    chat.send('b')
+    await nextTick()
+
+    expect(effect).not.toHaveBeenCalled()
+  })
+
+  it('should return an idempotent dispose function', () => {
+    const chat = new ChatStore()
+    const effect = vi.fn()
+    const dispose = useMobxReaction(() => chat.messages.length, effect)
+
+    dispose()
+    dispose()
+    chat.send('a')
+
+    expect(effect).not.toHaveBeenCalled()
+  })
+
+  it('should reject unknown flush modes', () => {
+    expect(() => useMobxReaction(() => 1, () => {}, { flush: 'later' }))
+      .toThrow("useMobxReaction option 'flush' must be 'sync', 'pre' or 'post'")
+  })
+})
+
+describe('MobX-Vue Bridge - useMobxAutorun', () => {
+  it('should run immediately and on every change by default', () => {
+    const chat = new ChatStore()
+    const seen = []
+    useMobxAutorun(() => seen.push(chat.messages.length))
+
+    chat.send('a')
+
+    expect(seen).toEqual([1, 2])
+  })
+
+  it('should run in the post flush, first after mounting', async () => {
+    const chat = new ChatStore()
+    const renderedTexts = []
+
+    const Draft = defineComponent({
+      setup() {
+        const state = useMobxBridge(chat)
+        const root = { value: null }
+        useMobxAutorun(() => {
+          chat.draft // tracked
+          renderedTexts.push(root.value && textOf(root.value))
+        }, { flush: 'post' })
+        return () => h('p', { ref: (el) => { root.value = el } }, state.draft)
+      },
+    })
+    const container = { tag: 'root', children: [], parent: null }
+    const app = createApp(Draft)
+    app.mount(container)
+    await nextTick()
+    expect(renderedTexts).toEqual([''])
+
+    runInAction(() => { chat.draft = 'Typing' })
+    runInAction(() => { chat.draft = 'Typing...' })
+    await nextTick()
+
+    expect(renderedTexts).toEqual(['', 'Typing...'])
+    app.unmount()
+  })
+
+  it('should throttle runs with delay', () => {
+    vi.useFakeTimers()
+    try {
+      const chat = new ChatStore()
+      const seen = []
+      useMobxAutorun(() => seen.push(chat.messages.length), { delay: 50 })
+
+      vi.advanceTimersByTime(50)
+      chat.send('a')
+      chat.send('b')
+      vi.advanceTimersByTime(50)
+
+      expect(seen).toEqual([1, 3])
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('should dispose with the effect scope', () => {
+    const chat = new ChatStore()
+    const seen = []
+    const scope = effectScope()
+    scope.run(() => useMobxAutorun(() => seen.push(chat.messages.length)))
+
+    scope.stop()
+    chat.send('a')
+
+    expect(seen).toEqual([1])
+  })
+})
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi } from 'vitest'
+import { observable, runInAction, isObservableObject } from 'mobx'
+import { watch, isRef, nextTick } from 'vue'
+import {
+  useMobxBridge,
+  createMobxBridge,
+  useMobxArray,
+  useMobxMap,
+  useMobxSet,
+  useMobxBox,
+} from '../src/mobxVueBridge'
+
+/**
+ * Tests for bridging top-level observable arrays, maps, sets and boxed values
+ *
+ * These are bridged as a whole: a Vue-reactive array / Map / Set that keeps its identity,
+ * or a writable Ref for boxes, two-way synced with the MobX value.
+ */
+
+describe('MobX-Vue Bridge - Top-Level Collections and Boxes', () => {
+  it('should bridge an observable array in both directions', async () => {
+    const todos = observable([{ title: 'Write docs', done: false }])
+    const items = useMobxArray(todos)
+
+    expect(Array.isArray(items)).toBe(true)
+    expect(items).toEqual([{ title: 'Write docs', done: false }])
+
+    runInAction(() => todos.push({ title: 'Release', done: false }))
+    expect(items.map(item => item.title)).toEqual(['Write docs', 'Release'])
+
+    const firstTodo = todos[0]
+    items[0].done = true
+    items.push({ title: 'Celebrate', done: false })
+    await nextTick()
+
+    expect(todos[0]).toBe(firstTodo)
+    expect(firstTodo.done).toBe(true)
+    expect(todos.map(todo => todo.title)).toEqual(['Write docs', 'Release', 'Celebrate'])
+  })
+
+  it('should keep the bridged array identity when MobX replaces its contents', () => {
+    const todos = observable(['a', 'b'])
+    const items = useMobxArray(todos)
+    const lengths = []
+    watch(() => items.length, (length) => lengths.push(length), { flush: 'sync' })
+
+    runInAction(() => todos.replace(['x', 'y', 'z']))
+
+    expect(items).toEqual(['x', 'y', 'z'])
+    expect(lengths).toEqual([3])
+  })
+
+  it('should replace the contents of large arrays', () => {
+    const values = observable([1, 2, 3])
+    const { state, dispose } = createMobxBridge(values)
+    const largeArray = Array.from({ length: 300000 }, (_, index) => index)
+
+    runInAction(() => values.replace(largeArray))
+
+    expect(state.length).toBe(300000)
+    expect(state[299999]).toBe(299999)
+
+    runInAction(() => values.replace([7]))
+    expect(state).toEqual([7])
+    dispose()
+  })
+
+  it('should bridge an observable map in both directions', async () => {
+    const prices = observable.map({ apple: 1 })
+    const state = useMobxMap(prices)
+
+    expect(state instanceof Map).toBe(true)
+
+    runInAction(() => prices.set('pear', 2))
+    expect(state.get('pear')).toBe(2)
+
+    state.set('plum', 3)
+    state.delete('apple')
+    await nextTick()
+
+    expect([...prices.keys()]).toEqual(['pear', 'plum'])
+  })
+
+  it('should bridge an observable set in both directions', async () => {
+    const tags = observable.set(['vue'])
+    const state = useMobxSet(tags)
+
+    runInAction(() => tags.add('mobx'))
+    expect(state.has('mobx')).toBe(true)
+
+    state.delete('vue')
+    await nextTick()
+
+    expect([...tags]).toEqual(['mobx'])
+  })
+
+  it('should bridge a boxed value as a writable ref', () => {
+    const count = observable.box(0)
+    const state = useMobxBox(count)
+    const seen = []
+    watch(state, (value) => seen.push(value), { flush: 'sync' })
+
+    expect(isRef(state)).toBe(true)
+
+    runInAction(() => count.set(5))
+    expect(state.value).toBe(5)
+
+    state.value = 7
+    expect(count.get()).toBe(7)
+    expect(seen).toEqual([5, 7])
+  })
+
+  it('should sync nested writes and changes of boxed objects', async () => {
+    const user = observable.box({ name: 'Ada', roles: ['admin'] })
+    const state = useMobxBox(user)
+
+    state.value.roles.push('editor')
+    await nextTick()
+    expect(user.get().roles.slice()).toEqual(['admin', 'editor'])
+    expect(isObservableObject(user.get())).toBe(true)
+
+    runInAction(() => { user.get().name = 'Grace' })
+    expect(state.value.name).toBe('Grace')
+
+    // Still observed after a Vue-side replacement
+    state.value = { name: 'Linus', roles: [] }
+    runInAction(() => user.get().roles.push('viewer'))
+    expect(state.value.roles).toEqual(['viewer'])
+  })
+
+  it('should dispatch top-level values through useMobxBridge', () => {
+    expect(useMobxBridge(observable([1, 2]))).toEqual([1, 2])
+    expect(useMobxBridge(observable.map({ a: 1 })).get('a')).toBe(1)
+    expect(useMobxBridge(observable.box('x')).value).toBe('x')
+  })
+
+  it('should stop syncing once disposed', () => {
+    const todos = observable(['a'])
+    const { state, dispose } = createMobxBridge(todos)
+
+    dispose()
+    runInAction(() => todos.push('b'))
+
+    expect(state).toEqual(['a'])
+    expect(typeof state.$dispose).toBe('function')
+    expect(Object.keys(state)).toEqual(['0'])
+  })
+
+  it('should respect allowDirectMutation: false', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const count = observable.box(1)
+    const todos = observable(['a'])
+
+    useMobxBox(count, { allowDirectMutation: false }).value = 2
+    useMobxArray(todos, { allowDirectMutation: false }).push('b')
+
+    expect(count.get()).toBe(1)
+    expect(todos.slice()).toEqual(['a'])
+    expect(warnSpy).toHaveBeenCalledTimes(2)
+    warnSpy.mockRestore()
+  })
+
+  it('should reject values of the wrong kind', () => {
+    expect(() => useMobxArray(observable.map())).toThrow('useMobxArray requires a MobX observable array')
+    expect(() => useMobxMap([])).toThrow('useMobxMap requires a MobX observable map')
+    expect(() => useMobxSet(new Set())).toThrow('useMobxSet requires a MobX observable set')
+    expect(() => useMobxBox(observable({ value: 1 }))).toThrow('useMobxBox requires a MobX boxed observable')
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it, expectTypeOf } from 'vitest'
+import { observable, makeAutoObservable } from 'mobx'
+import type { Ref } from 'vue'
+import { useMobxBridge, createMobxBridge, injectBridge, useStore } from '../src/mobxVueBridge'
+import type { MobxBridgeState, MobxBridgeEvent } from '../src/mobxVueBridge'
+
+/**
+ * Type tests for the bridged state (run with `npm run test:types`)
+ */
+
+class CartPresenter {
+  items: { title: string; qty: number }[] = []
+  coupon = ''
+  _secret = 'hidden'
+
+  constructor() {
+    makeAutoObservable(this)
+  }
+
+  get total(): number {
+    return this.items.length
+  }
+
+  get note(): string {
+    return this.coupon
+  }
+
+  set note(value: string) {
+    this.coupon = value
+  }
+
+  addItem(this: CartPresenter, title: string): void {
+    this.items.push({ title, qty: 1 })
+  }
+}
+
+describe('MobX-Vue Bridge - Types', () => {
+  it('should keep properties writable and getters read-only', () => {
+    const state = useMobxBridge(new CartPresenter())
+
+    expectTypeOf(state.items).toEqualTypeOf<{ title: string; qty: number }[]>()
+    expectTypeOf(state.total).toEqualTypeOf<number>()
+    state.coupon = 'spring'
+    state.note = 'Gift'
+    // @ts-expect-error getter-only members are read-only
+    state.total = 3
+  })
+
+  it('should hide private members', () => {
+    const state = useMobxBridge(new CartPresenter())
+    expectTypeOf(state).not.toHaveProperty('_secret')
+
+    const custom = useMobxBridge(new CartPresenter(), { privatePattern: 'co' })
+    expectTypeOf(custom).toHaveProperty('_secret')
+    expectTypeOf(custom).not.toHaveProperty('coupon')
+
+    const unfiltered = useMobxBridge(new CartPresenter(), { privatePattern: false })
+    expectTypeOf(unfiltered).toHaveProperty('_secret')
+  })
+
+  it('should type methods as bound functions', () => {
+    const { addItem } = useMobxBridge(new CartPresenter())
+
+    expectTypeOf(addItem).toEqualTypeOf<(title: string) => void>()
+  })
+
+  it('should reflect include and exclude names', () => {
+    const included = useMobxBridge(new CartPresenter(), { include: ['items', 'total'] })
+    expectTypeOf(included).toHaveProperty('items')
+    expectTypeOf(included).toHaveProperty('total')
+    expectTypeOf(included).not.toHaveProperty('coupon')
+
+    const excluded = useMobxBridge(new CartPresenter(), { exclude: 'coupon' })
+    expectTypeOf(excluded).not.toHaveProperty('coupon')
+    expectTypeOf(excluded).toHaveProperty('items')
+
+    // Filters that can't be resolved statically keep every member
+    const byPattern = useMobxBridge(new CartPresenter(), { include: /^it/ })
+    expectTypeOf(byPattern).toHaveProperty('coupon')
+  })
+
+  it('should be deeply read-only without direct mutation', () => {
+    const state = useMobxBridge(new CartPresenter(), { allowDirectMutation: false })
+
+    expectTypeOf(state.items).toEqualTypeOf<readonly { readonly title: string; readonly qty: number }[]>()
+    expectTypeOf(state.addItem).toEqualTypeOf<(title: string) => void>()
+    // @ts-expect-error properties are read-only
+    state.coupon = 'spring'
+  })
+
+  it('should expose $dispose and type createMobxBridge alike', () => {
+    const { state, dispose } = createMobxBridge(new CartPresenter(), { exclude: ['coupon'] })
+
+    expectTypeOf(state.$dispose).toEqualTypeOf<() => void>()
+    expectTypeOf(dispose).toEqualTypeOf<() => void>()
+    expectTypeOf(state).not.toHaveProperty('coupon')
+  })
+
+  it('should type top-level values', () => {
+    expectTypeOf(useMobxBridge(observable([1, 2]))).toMatchTypeOf<number[]>()
+    expectTypeOf(useMobxBridge(observable.map<string, number>())).toMatchTypeOf<Map<string, number>>()
+    expectTypeOf(useMobxBridge(observable.box('x'))).toMatchTypeOf<Ref<string>>()
+  })
+
+  it('should type stores from the plugin registry', () => {
+    expectTypeOf(injectBridge(CartPresenter)).toEqualTypeOf<MobxBridgeState<CartPresenter>>()
+    expectTypeOf(useStore<CartPresenter>('cart').total).toEqualTypeOf<number>()
+  })
+
+  it('should narrow bridge events by type', () => {
+    useMobxBridge(new CartPresenter(), {
+      onEvent: (event) => {
+        expectTypeOf(event).toEqualTypeOf<MobxBridgeEvent>()
+        if (event.type === 'sync:mobx-to-vue') {
+          expectTypeOf(event.path).toEqualTypeOf<string[]>()
+          expectTypeOf(event.action).toEqualTypeOf<string | undefined>()
+        }
+        if (event.type === 'observe:failed') {
+          expectTypeOf(event.error).toEqualTypeOf<unknown>()
+        }
+        expectTypeOf(event).not.toHaveProperty('property')
+      },
+    })
+  })
+})
@@ -2,7 +2,8 @@ import { describe, it, expect, beforeEach } from 'vitest'
 import { makeAutoObservable } from 'mobx'
 
 // Mock Vue imports
-vi.mock('vue', () => ({
+vi.mock('vue', async (importOriginal) => ({
+  ...(await importOriginal()),
   reactive: (obj) => obj,
   ref: (value) => ({ value }),
   onMounted: (fn) => fn(),
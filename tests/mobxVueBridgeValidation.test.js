@@ -1,7 +1,8 @@
 import { describe, it, expect, vi } from 'vitest'
 
 // Mock Vue imports
-vi.mock('vue', () => ({
+vi.mock('vue', async (importOriginal) => ({
+  ...(await importOriginal()),
   reactive: (obj) => obj,
   ref: (value) => ({ value }),
   onMounted: (fn) => fn(),
@@ -10,6 +11,7 @@ vi.mock('vue', () => ({
   watch: vi.fn()
 }))
 
+import { effectScope } from 'vue'
 import { useMobxBridge } from '../src/mobxVueBridge.js'
 
 describe('MobX-Vue Bridge - Parameter Validation', () => {
@@ -43,6 +45,18 @@ describe('MobX-Vue Bridge - Parameter Validation', () => {
     }).toThrow('useMobxBridge requires a valid MobX observable object as the first parameter')
   })
 
+  it('should validate before sharing the bridge inside an effect scope', () => {
+    const scope = effectScope()
+    scope.run(() => {
+      [null, undefined, 'not an object', 42].forEach((value) => {
+        expect(() => {
+          useMobxBridge(value)
+        }).toThrow('useMobxBridge requires a valid MobX observable object as the first parameter')
+      })
+    })
+    scope.stop()
+  })
+
   it('should NOT throw error when mobxObject is a valid object', () => {
     expect(() => {
       useMobxBridge({ count: 0 })